@@ -0,0 +1,34 @@
+// A visually hidden live region for screen readers. Each message is added as its own paragraph so
+// several messages in quick succession (e.g. the whole intro skipped under reduced motion) are all read.
+const KEPT_MESSAGES = 5;
+
+export class LiveAnnouncer {
+    constructor(container) {
+        this.region = container.ownerDocument.createElement('div');
+        this.region.className = 'revomo-visually-hidden';
+        this.region.setAttribute('role', 'status');
+        this.region.setAttribute('aria-live', 'polite');
+        container.appendChild(this.region);
+    }
+
+    announce(message) {
+        if (!message) return;
+
+        const paragraph = this.region.ownerDocument.createElement('p');
+        paragraph.textContent = message;
+        this.region.appendChild(paragraph);
+
+        while (this.region.childElementCount > KEPT_MESSAGES) {
+            this.region.firstElementChild.remove();
+        }
+    }
+
+    // Drop old messages, e.g. before the intro replays
+    clear() {
+        this.region.replaceChildren();
+    }
+
+    destroy() {
+        this.region.remove();
+    }
+}
@@ -0,0 +1,147 @@
+import gsap from "gsap";
+import { Draggable } from "gsap/Draggable";
+import { InertiaPlugin } from "gsap/InertiaPlugin";
+
+// Drag-and-throw for the background-layer cards. A dragged card tilts in 3D towards where the pointer is
+// taking it, glides on with InertiaPlugin when let go, and then springs back to where the intro left it.
+export const DEFAULT_CARD_DRAG = {
+    enabled: false,
+    // Degrees of tilt at full speed
+    tilt: 20,
+    // Pointer speed, in pixels per second, that gives the full tilt
+    tiltSpeed: 1500,
+    // 0 lets a card leave the hero while held, 1 stops it hard at the edge
+    edgeResistance: 0.75,
+    // InertiaPlugin resistance for the throw; higher stops the glide sooner
+    throwResistance: 1500,
+    maxThrowDuration: 1,
+    // Spring back to the resting transform once the throw ends
+    returnDuration: 1.2,
+    returnEase: 'elastic.out(1, 0.5)'
+};
+
+export class CardDrag {
+    // cards are the .background-layer-figure elements; bounds is the hero section; under reduced motion
+    // cards follow the pointer without tilting or gliding and jump back on release
+    constructor(cards, bounds, config, reducedMotion) {
+        this.config = config;
+        this.reducedMotion = reducedMotion;
+        this.cards = cards.map(element => this.createCard(element, bounds));
+    }
+
+    createCard(element, bounds) {
+        const card = {
+            element,
+            rest: { x: gsap.getProperty(element, 'x'), y: gsap.getProperty(element, 'y') },
+            tilt: null,
+            spring: null,
+            afterRelease: null
+        };
+        const drag = this;
+
+        element.classList.add('is-draggable');
+        gsap.set(element, { transformPerspective: 800 });
+
+        [card.draggable] = Draggable.create(element, {
+            type: 'x,y',
+            bounds,
+            edgeResistance: this.config.edgeResistance,
+            inertia: true,
+            throwResistance: this.config.throwResistance,
+            maxDuration: this.config.maxThrowDuration,
+            onPress() {
+                drag.killTweens(card);
+                this.vars.inertia = !drag.reducedMotion.matches;
+            },
+            onDrag() {
+                drag.tiltTowardsVelocity(card);
+            },
+            onThrowUpdate() {
+                drag.tiltTowardsVelocity(card);
+            },
+            onRelease() {
+                if (!this.isThrowing) drag.springBack(card);
+
+                const callback = card.afterRelease;
+                card.afterRelease = null;
+                if (callback) callback();
+            },
+            onThrowComplete() {
+                drag.springBack(card);
+            }
+        });
+
+        return card;
+    }
+
+    getCard(element) {
+        return this.cards.find(card => card.element === element);
+    }
+
+    // Held by the pointer, moved or not
+    isDragging(element) {
+        const card = this.getCard(element);
+        return Boolean(card && card.draggable.isPressed);
+    }
+
+    // Run callback once the card is let go, replacing any callback queued before; null clears it
+    afterRelease(element, callback) {
+        const card = this.getCard(element);
+        if (card) card.afterRelease = callback;
+    }
+
+    tiltTowardsVelocity(card) {
+        if (this.reducedMotion.matches) return;
+
+        const { tilt, tiltSpeed } = this.config;
+        const clamp = gsap.utils.clamp(-tilt, tilt);
+        const velocityX = InertiaPlugin.getVelocity(card.element, 'x');
+        const velocityY = InertiaPlugin.getVelocity(card.element, 'y');
+
+        if (card.tilt) card.tilt.kill();
+        card.tilt = gsap.to(card.element, {
+            rotationY: clamp(velocityX / tiltSpeed * tilt),
+            rotationX: clamp(-velocityY / tiltSpeed * tilt),
+            duration: 0.3,
+            ease: 'power2.out'
+        });
+    }
+
+    springBack(card) {
+        this.killTweens(card);
+        card.spring = gsap.to(card.element, {
+            ...card.rest,
+            rotationX: 0,
+            rotationY: 0,
+            duration: this.reducedMotion.matches ? 0 : this.config.returnDuration,
+            ease: this.config.returnEase
+        });
+    }
+
+    killTweens(card) {
+        [card.tilt, card.spring].forEach(tween => {
+            if (tween) tween.kill();
+        });
+        card.tilt = null;
+        card.spring = null;
+    }
+
+    // Drop any throw or spring and put every card at rest, e.g. before the intro replays
+    reset() {
+        this.cards.forEach(card => {
+            if (card.draggable.tween) card.draggable.tween.kill();
+            this.killTweens(card);
+            gsap.set(card.element, { ...card.rest, rotationX: 0, rotationY: 0 });
+            card.draggable.update();
+        });
+    }
+
+    destroy() {
+        this.reset();
+        this.cards.forEach(({ element, draggable }) => {
+            draggable.kill();
+            element.classList.remove('is-draggable');
+        });
+        this.cards = [];
+    }
+}
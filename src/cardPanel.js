@@ -0,0 +1,181 @@
+import gsap from "gsap";
+import { round } from "./svg.js";
+
+// The detail panel a card expands into. Opening is a FLIP: the panel is laid out where CSS puts it, then
+// transformed back onto the card's on-screen box, including the card's 3D tilt, and animated to rest.
+// Closing reverses the same timeline, so the panel shrinks back into the card it came from.
+export const DEFAULT_PANEL = {
+    duration: 0.6,
+    ease: 'power3.inOut',
+    // How far the other cards move away from the expanded one, in percent of their own size
+    spread: 60
+};
+
+let panelCount = 0;
+
+export class CardPanel {
+    // container is the hero section the panel is added to
+    constructor(container, config, reducedMotion) {
+        this.container = container;
+        this.config = config;
+        this.reducedMotion = reducedMotion;
+        this.card = null;
+        this.panel = null;
+        this.timeline = null;
+
+        this.handleKeydown = event => {
+            if (event.key === 'Escape') this.close();
+        };
+        this.handlePointerdown = event => {
+            if (this.panel && !this.panel.contains(event.target)) this.close();
+        };
+    }
+
+    get isOpen() {
+        return Boolean(this.card);
+    }
+
+    // content: { title, body, url, linkText }; others are the cards that make room
+    open(card, others, content) {
+        if (this.card) this.finish();
+
+        this.card = card;
+        this.panel = this.createPanel(card, content);
+        this.container.appendChild(this.panel);
+
+        const panelBox = this.panel.getBoundingClientRect();
+        const cardBox = card.getBoundingClientRect();
+        const duration = this.reducedMotion.matches ? 0 : this.config.duration;
+        const ease = this.config.ease;
+
+        card.classList.add('is-expanded');
+        this.timeline = gsap.timeline({
+            onReverseComplete: () => this.finish()
+        });
+
+        this.timeline.fromTo(this.panel, {
+            x: cardBox.left - panelBox.left,
+            y: cardBox.top - panelBox.top,
+            scaleX: cardBox.width / panelBox.width,
+            scaleY: cardBox.height / panelBox.height,
+            rotationX: gsap.getProperty(card, 'rotationX'),
+            rotationY: gsap.getProperty(card, 'rotationY'),
+            transformOrigin: '0 0',
+            transformPerspective: 800
+        }, { x: 0, y: 0, scaleX: 1, scaleY: 1, rotationX: 0, rotationY: 0, duration, ease }, 0);
+
+        this.timeline.fromTo(this.panel.querySelector('.revomo-card-panel-body'), { autoAlpha: 0 }, {
+            autoAlpha: 1,
+            duration: duration / 2
+        }, duration / 2);
+
+        this.timeline.to(others, {
+            xPercent: index => this.getSpread(cardBox, others[index]).x,
+            yPercent: index => this.getSpread(cardBox, others[index]).y,
+            duration,
+            ease
+        }, 0);
+
+        document.addEventListener('keydown', this.handleKeydown);
+        document.addEventListener('pointerdown', this.handlePointerdown);
+        this.panel.querySelector('.revomo-card-panel-close').focus();
+    }
+
+    // Unit vector from the expanded card to another, scaled by spread
+    getSpread(cardBox, other) {
+        const box = other.getBoundingClientRect();
+        const dx = (box.left + box.width / 2) - (cardBox.left + cardBox.width / 2);
+        const dy = (box.top + box.height / 2) - (cardBox.top + cardBox.height / 2);
+        const length = Math.hypot(dx, dy) || 1;
+        return { x: round(dx / length * this.config.spread), y: round(dy / length * this.config.spread) };
+    }
+
+    createPanel(card, { title, body, url, linkText }) {
+        const doc = this.container.ownerDocument;
+        const panel = doc.createElement('div');
+        const titleId = `revomo-card-panel-title-${++panelCount}`;
+
+        panel.className = 'revomo-card-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-labelledby', titleId);
+
+        const image = card.querySelector('img');
+        if (image) {
+            const preview = image.cloneNode();
+            preview.alt = '';
+            preview.className = 'revomo-card-panel-image';
+            panel.appendChild(preview);
+        }
+
+        const content = doc.createElement('div');
+        content.className = 'revomo-card-panel-body';
+
+        const heading = doc.createElement('h2');
+        heading.id = titleId;
+        heading.textContent = title;
+        content.appendChild(heading);
+
+        if (body) {
+            const text = doc.createElement('p');
+            text.textContent = body;
+            content.appendChild(text);
+        }
+
+        if (url) {
+            const link = doc.createElement('a');
+            link.href = url;
+            link.textContent = linkText || url;
+            content.appendChild(link);
+        }
+
+        const close = doc.createElement('button');
+        close.type = 'button';
+        close.className = 'revomo-card-panel-close';
+        close.setAttribute('aria-label', 'Close');
+        close.textContent = '×';
+        close.addEventListener('click', () => this.close());
+
+        panel.append(content, close);
+        return panel;
+    }
+
+    // Shrink back into the card; Escape, outside clicks and the close button all end up here
+    close() {
+        if (!this.timeline || this.timeline.reversed()) return;
+
+        // Under reduced motion the timeline is instant and has nothing to reverse
+        if (this.timeline.duration() === 0) {
+            this.finish();
+            return;
+        }
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('pointerdown', this.handlePointerdown);
+        this.timeline.reverse();
+    }
+
+    // Remove the panel at once and put the cards back; focus returns to the card unless it has moved on
+    finish(restoreFocus = true) {
+        if (!this.card) return;
+
+        const { card, panel, timeline } = this;
+        const hadFocus = panel.contains(document.activeElement);
+
+        // Cleared first: rewinding fires onReverseComplete, which calls finish again
+        this.card = null;
+        this.panel = null;
+        this.timeline = null;
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('pointerdown', this.handlePointerdown);
+        timeline.progress(0).kill();
+        panel.remove();
+
+        card.classList.remove('is-expanded');
+        if (restoreFocus && (hadFocus || document.activeElement === document.body)) card.focus();
+    }
+
+    destroy() {
+        this.finish(false);
+    }
+}
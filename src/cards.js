@@ -0,0 +1,171 @@
+import { CardPanel, DEFAULT_PANEL } from "./cardPanel.js";
+
+// Semantics, keyboard support and actions for the background-layer cards. Each card is a button named and
+// described from config.json's "cards" section; the group is one tab stop, arrow keys move between cards
+// (roving tabindex) and Enter or Space clicks the focused card, so keyboard and pointer share one action.
+export const DEFAULT_CARDS = {
+    // Accessible name of the group of cards
+    label: 'Revomo insights',
+    // { selector, name, description, action }; selector matches the card element, e.g. ".one". Cards
+    // without an entry are named after their image's alt text. action is one of
+    //   { type: 'link', url, target }            opens url, in a new tab with target "_blank"
+    //   { type: 'panel', title, body, url, linkText }  expands the card into a detail panel
+    //   { type: 'event', name, detail }          dispatches a bubbling CustomEvent from the card
+    // title and body default to the card's name and description.
+    items: [],
+    panel: DEFAULT_PANEL
+};
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown'];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp'];
+
+let descriptionCount = 0;
+
+export class HeroCards {
+    // group is .background-layer; cards are its .background-layer-figure elements in reading order;
+    // container is the hero section, which holds the detail panel
+    constructor(group, cards, config, container, reducedMotion) {
+        this.group = group;
+        this.config = config;
+        this.cards = cards.map(element => this.createCard(element));
+        this.current = 0;
+        this.panel = new CardPanel(container, config.panel, reducedMotion);
+
+        this.groupAttributes = ['role', 'aria-label'].map(name => [name, group.getAttribute(name)]);
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', config.label);
+
+        this.cards.forEach(card => {
+            card.element.addEventListener('keydown', card.handleKeydown);
+            card.element.addEventListener('keyup', card.handleKeyup);
+            card.element.addEventListener('focus', card.handleFocus);
+            card.element.addEventListener('click', card.handleClick);
+        });
+        this.updateTabStops();
+    }
+
+    createCard(element) {
+        const item = this.config.items.find(entry => element.matches(entry.selector)) || {};
+        const image = element.querySelector('img');
+        const card = { element, item, description: null };
+
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', item.name || (image && image.alt) || element.textContent.trim());
+        if (item.action && item.action.type === 'panel') element.setAttribute('aria-haspopup', 'dialog');
+
+        if (item.description) {
+            const description = element.ownerDocument.createElement('span');
+            description.id = `revomo-card-description-${++descriptionCount}`;
+            description.className = 'revomo-visually-hidden';
+            description.textContent = item.description;
+            element.appendChild(description);
+            element.setAttribute('aria-describedby', description.id);
+            card.description = description;
+        }
+
+        card.handleKeydown = event => this.handleKeydown(card, event);
+        // Like a native button, Space clicks on release, after focus has moved on from any key press
+        card.handleKeyup = event => {
+            if (event.key === ' ') card.element.click();
+        };
+        card.handleClick = () => this.activate(card);
+        card.handleFocus = () => {
+            this.current = this.cards.indexOf(card);
+            this.updateTabStops();
+        };
+
+        return card;
+    }
+
+    handleKeydown(card, event) {
+        const index = this.cards.indexOf(card);
+        const last = this.cards.length - 1;
+        let next = null;
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            if (event.key === 'Enter' && !event.repeat) card.element.click();
+            return;
+        }
+
+        if (NEXT_KEYS.includes(event.key)) next = index === last ? 0 : index + 1;
+        if (PREVIOUS_KEYS.includes(event.key)) next = index === 0 ? last : index - 1;
+        if (event.key === 'Home') next = 0;
+        if (event.key === 'End') next = last;
+        if (next === null) return;
+
+        event.preventDefault();
+        this.focus(next);
+    }
+
+    // Run the card's configured action; cards without one only get the hover and focus effect and the event
+    activate(card) {
+        const { action } = card.item;
+
+        // Announced for every card, e.g. to the page embedding the hero (see embed.js)
+        card.element.dispatchEvent(new CustomEvent('revomo:cardactivate', {
+            bubbles: true,
+            detail: { selector: card.item.selector || null, name: card.element.getAttribute('aria-label'), action: action ? action.type : null }
+        }));
+
+        if (!action) return;
+
+        const missing = { link: 'url', event: 'name' }[action.type];
+        if (missing && !action[missing]) {
+            console.warn(`Card ${card.item.selector}: "${action.type}" action needs a ${missing}`);
+            return;
+        }
+
+        if (action.type === 'link') {
+            const target = action.target || '_self';
+            window.open(action.url, target, target === '_blank' ? 'noopener' : '');
+        } else if (action.type === 'panel') {
+            const others = this.cards.filter(other => other !== card).map(other => other.element);
+            this.panel.open(card.element, others, {
+                title: action.title || card.element.getAttribute('aria-label'),
+                body: action.body || card.item.description,
+                url: action.url,
+                linkText: action.linkText
+            });
+        } else if (action.type === 'event') {
+            card.element.dispatchEvent(new CustomEvent(action.name, {
+                bubbles: true,
+                composed: true,
+                detail: { selector: card.item.selector, name: card.element.getAttribute('aria-label'), ...action.detail }
+            }));
+        }
+    }
+
+    focus(index) {
+        this.current = index;
+        this.updateTabStops();
+        this.cards[index].element.focus();
+    }
+
+    // Only the current card is in the tab order
+    updateTabStops() {
+        this.cards.forEach((card, index) => {
+            card.element.setAttribute('tabindex', index === this.current ? '0' : '-1');
+        });
+    }
+
+    destroy() {
+        this.panel.destroy();
+        this.cards.forEach(({ element, description, handleKeydown, handleKeyup, handleFocus, handleClick }) => {
+            element.removeEventListener('keydown', handleKeydown);
+            element.removeEventListener('keyup', handleKeyup);
+            element.removeEventListener('focus', handleFocus);
+            element.removeEventListener('click', handleClick);
+            ['role', 'aria-label', 'aria-describedby', 'aria-haspopup', 'tabindex'].forEach(name => element.removeAttribute(name));
+            if (description) description.remove();
+        });
+        this.groupAttributes.forEach(([name, value]) => {
+            if (value === null) {
+                this.group.removeAttribute(name);
+            } else {
+                this.group.setAttribute(name, value);
+            }
+        });
+        this.cards = [];
+    }
+}
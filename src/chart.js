@@ -0,0 +1,195 @@
+import { round } from "./svg.js";
+
+// The metric chart from data. config.json's "chart" series is laid out in the frame (SVG user units of
+// #inner-hero), drawn as one smoothed curve shared by the line and its glow copies, and closed down to the
+// baseline for the gradient area fill and the mask that clips the glow band to it. An optional comparison
+// series becomes the dashed line, and the tooltip markers move onto the new curve. Filters, gradients and
+// the glow band itself stay as exported from design; only path data and positions are generated.
+export const DEFAULT_CHART = {
+    // Fewer than two points keeps the exported paths
+    series: [],
+    // { value } points drawn as the dashed line on the series' scale, spread over the same frame width;
+    // fewer than two keeps the exported dashed line
+    comparison: [],
+    // Where the series is drawn: the first point sits on the left edge, the last on the right,
+    // the lowest value on the bottom edge and the highest on the top edge
+    frame: { x: -51.59, y: 192, width: 591.75, height: 112 },
+    // Bottom edge of the area fill
+    baseline: 552,
+    // 0 joins the points with straight segments, 1 is a Catmull-Rom curve through them
+    smoothing: 1,
+    line: '.metric',
+    // The visible fill and the glow's mask; the glow band sharing .metric-background keeps its exported path
+    area: '.metric-area',
+    comparisonLine: '.stroked-metric'
+};
+
+// Series values mapped to SVG coordinates; min and max default to the series' own range, which other
+// series (the comparison) are drawn on as well
+export function getChartPoints(chart, series = chart.series) {
+    const { frame } = chart;
+    const values = chart.series.map(point => point.value);
+    const min = chart.min ?? Math.min(...values);
+    const max = chart.max ?? Math.max(...values);
+    const step = frame.width / Math.max(series.length - 1, 1);
+
+    return series.map((point, index) => ({
+        x: frame.x + index * step,
+        // A flat series sits in the middle of the frame
+        y: max === min
+            ? frame.y + frame.height / 2
+            : frame.y + frame.height * (1 - (point.value - min) / (max - min)),
+        value: point.value,
+        label: point.label
+    }));
+}
+
+// Catmull-Rom through every point, as one cubic Bézier { start, c1, c2, end } per pair of points
+function getSegments(points, smoothing) {
+    const tension = smoothing / 6;
+
+    return points.slice(0, -1).map((start, index) => {
+        const previous = points[index - 1] || start;
+        const end = points[index + 1];
+        const next = points[index + 2] || end;
+
+        return {
+            start,
+            c1: { x: start.x + (end.x - previous.x) * tension, y: start.y + (end.y - previous.y) * tension },
+            c2: { x: end.x - (next.x - start.x) * tension, y: end.y - (next.y - start.y) * tension },
+            end
+        };
+    });
+}
+
+function getBezierValue({ start, c1, c2, end }, axis, t) {
+    const u = 1 - t;
+    return u * u * u * start[axis] + 3 * u * u * t * c1[axis] + 3 * u * t * t * c2[axis] + t * t * t * end[axis];
+}
+
+// The curve written as cubic Béziers so DrawSVG can measure the result
+export function getLinePath(points, smoothing = 1) {
+    const segments = getSegments(points, smoothing).map(({ c1, c2, end }) => (
+        `C${round(c1.x)} ${round(c1.y)} ${round(c2.x)} ${round(c2.y)} ${round(end.x)} ${round(end.y)}`
+    ));
+    return `M${round(points[0].x)} ${round(points[0].y)}${segments.join('')}`;
+}
+
+// Height of the curve at x, or null outside the series
+export function getLineY(points, smoothing, x) {
+    const segment = getSegments(points, smoothing).find(({ start, end }) => x >= start.x && x <= end.x);
+    if (!segment) return null;
+
+    // x only grows along a segment, so bisect for the point of the curve above x
+    let low = 0;
+    let high = 1;
+    for (let step = 0; step < 30; step++) {
+        const t = (low + high) / 2;
+        if (getBezierValue(segment, 'x', t) < x) {
+            low = t;
+        } else {
+            high = t;
+        }
+    }
+    return getBezierValue(segment, 'y', (low + high) / 2);
+}
+
+// The line closed down to the baseline, for the gradient fills under it
+export function getAreaPath(points, smoothing, baseline) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    return `${getLinePath(points, smoothing)}L${round(last.x)} ${round(baseline)}L${round(first.x)} ${round(baseline)}Z`;
+}
+
+// Labels are foreignObjects; centre each one under its point
+function placeLabel(element, x) {
+    const box = element.closest('foreignObject') || element;
+    const width = parseFloat(box.getAttribute('width')) || 0;
+    box.setAttribute('x', round(x - width / 2));
+    box.querySelectorAll('div').forEach(div => {
+        div.style.textAlign = 'center';
+    });
+}
+
+// Circles may carry their own transform (some exports flip them), so centres go through it both ways
+function getCircleMatrix(circle) {
+    const transform = circle.transform && circle.transform.baseVal.consolidate();
+    return transform ? transform.matrix : { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+}
+
+function getCircleCenter(circle) {
+    const { a, b, c, d, e, f } = getCircleMatrix(circle);
+    const x = parseFloat(circle.getAttribute('cx')) || 0;
+    const y = parseFloat(circle.getAttribute('cy')) || 0;
+    return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
+function setCircleCenter(circle, x, y) {
+    const { a, b, c, d, e, f } = getCircleMatrix(circle);
+    const determinant = a * d - b * c;
+    circle.setAttribute('cx', round((d * (x - e) - c * (y - f)) / determinant));
+    circle.setAttribute('cy', round((a * (y - f) - b * (x - e)) / determinant));
+}
+
+// Stems are exported as a single vertical "M x y1 L x y2"; the end nearer the old marker follows it
+function moveStemEnd(stem, from, to) {
+    const match = /^M\s*(-?[\d.]+)[\s,]+(-?[\d.]+)\s*L\s*(-?[\d.]+)[\s,]+(-?[\d.]+)\s*$/.exec(stem.getAttribute('d') || '');
+    if (!match) return;
+
+    const [x1, y1, x2, y2] = match.slice(1).map(Number);
+    if (Math.abs(y1 - from) < Math.abs(y2 - from)) {
+        stem.setAttribute('d', `M${x1} ${round(to)}L${x2} ${y2}`);
+    } else {
+        stem.setAttribute('d', `M${x1} ${y1}L${x2} ${round(to)}`);
+    }
+}
+
+// A tooltip's marker circles keep their x and move onto the curve; its stem is stretched to meet them
+function placeMarker({ circles, stems }, points, smoothing, q) {
+    const elements = circles.length > 0 ? q(circles.join(', ')) : [];
+    if (elements.length === 0) return;
+
+    const from = getCircleCenter(elements[0]);
+    const y = getLineY(points, smoothing, from.x);
+    if (y === null) return;
+
+    elements.forEach(circle => setCircleCenter(circle, getCircleCenter(circle).x, y));
+    if (stems.length > 0) {
+        q(stems.join(', ')).forEach(stem => moveStemEnd(stem, from.y, y));
+    }
+}
+
+// Write the generated paths into the hero's chart elements, move the markers ({ circles, stems } selector
+// lists, one per tooltip) onto the curve and place the x labels. Returns the laid-out points, or null when
+// the series is too short and the exported SVG is kept as it is.
+export function renderChart(chart, q, markers = []) {
+    if (chart.series.length < 2) {
+        if (chart.series.length === 1) {
+            console.warn('Chart series needs at least two points; keeping the exported chart');
+        }
+        return null;
+    }
+
+    const points = getChartPoints(chart);
+    const line = getLinePath(points, chart.smoothing);
+    const area = getAreaPath(points, chart.smoothing, chart.baseline);
+
+    q(chart.line).forEach(path => path.setAttribute('d', line));
+    q(chart.area).forEach(path => path.setAttribute('d', area));
+
+    if (chart.comparison.length >= 2) {
+        const comparison = getLinePath(getChartPoints(chart, chart.comparison), chart.smoothing);
+        q(chart.comparisonLine).forEach(path => path.setAttribute('d', comparison));
+    }
+
+    markers.forEach(marker => placeMarker(marker, points, chart.smoothing, q));
+
+    points.forEach(point => {
+        if (!point.label) return;
+        const [element] = q(point.label.selector);
+        if (element) placeLabel(element, point.x);
+    });
+
+    console.log(`✅ Chart generated from ${points.length} points`);
+    return points;
+}
@@ -0,0 +1,31 @@
+import { createParticleEmitter } from "./particles.js";
+
+// Global variable for circular particle system
+let globalCircularParticleSystem = null;
+
+// Initialize circular particle system
+function initializeCircularParticleSystem() {
+    // Full 360° burst preset with curved paths
+    globalCircularParticleSystem = createParticleEmitter('circularBurst');
+
+    if (globalCircularParticleSystem.init()) {
+        globalCircularParticleSystem.start();
+    }
+
+    // Add cleanup on page unload
+    window.addEventListener('beforeunload', () => {
+        if (globalCircularParticleSystem) {
+            globalCircularParticleSystem.destroy();
+        }
+    });
+
+    console.log('Circular particle system initialized successfully');
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeCircularParticleSystem);
+} else {
+    // DOM is already ready
+    initializeCircularParticleSystem();
+}
@@ -0,0 +1,132 @@
+import gsap from "gsap";
+import { formatText } from "./format.js";
+import { round, SVG_NS } from "./svg.js";
+
+// The ring's progress as described in scripts/CircularPRD.md. Each angular gradient (#rotating-lines and
+// its glow copy) is exported clipped to a full circle; that circle is swapped for a pie wedge whose sweep
+// follows the progress, so 0% hides the gradient and 100% shows all of it.
+export const DEFAULT_PROGRESS = {
+    enabled: true,
+    // Percent reached by the intro
+    target: 70,
+    duration: 2.5,
+    ease: 'power2.inOut',
+    // Intro label or position the progress starts at
+    position: 'progress',
+    // Degrees clockwise from 12 o'clock where the sweep starts
+    startAngle: 0,
+    // Elements whose clip path becomes the wedge
+    targets: '#rotating-lines, [clip-path*="_angular_"]',
+    // Optional text counting up with the progress, e.g. { text: '{progress}', selector: '.progress-label' }
+    label: null
+};
+
+// Pie wedge from startAngle sweeping fraction of the circle; an empty wedge clips everything away
+function getWedgePath({ cx, cy, r }, fraction, startAngle) {
+    if (fraction <= 0) {
+        return `M${cx} ${cy}Z`;
+    }
+    if (fraction >= 1) {
+        const left = round(cx - r);
+        const right = round(cx + r);
+        return `M${left} ${cy}A${r} ${r} 0 1 1 ${right} ${cy}A${r} ${r} 0 1 1 ${left} ${cy}Z`;
+    }
+
+    const start = (startAngle - 90) * Math.PI / 180;
+    const end = start + fraction * Math.PI * 2;
+    const largeArc = fraction > 0.5 ? 1 : 0;
+
+    return `M${cx} ${cy}`
+        + `L${round(cx + r * Math.cos(start))} ${round(cy + r * Math.sin(start))}`
+        + `A${r} ${r} 0 ${largeArc} 1 ${round(cx + r * Math.cos(end))} ${round(cy + r * Math.sin(end))}Z`;
+}
+
+export class CircularProgress {
+    // q resolves targets inside the hero; config is config.json's "progress" section
+    constructor(q, config, locale) {
+        this.config = config;
+        this.locale = locale;
+        this.value = 0;
+        this.tween = null;
+        this.wedges = [];
+
+        q(config.targets).forEach(element => this.attachWedge(element));
+
+        const labels = config.label ? q(config.label.selector) : [];
+        this.label = labels.find(match => !match.firstElementChild) || labels[0] || null;
+    }
+
+    get hasTargets() {
+        return this.wedges.length > 0;
+    }
+
+    // Swap the circle in the element's clip path for a wedge; clip paths shared by several targets are swapped once
+    attachWedge(element) {
+        const match = /url\(["']?#([^"')]+)["']?\)/.exec(element.getAttribute('clip-path') || '');
+        const clipPath = match && element.ownerDocument.getElementById(match[1]);
+        const circle = clipPath && clipPath.querySelector('circle');
+        if (!circle || this.wedges.some(wedge => wedge.clipPath === clipPath)) return;
+
+        const path = element.ownerDocument.createElementNS(SVG_NS, 'path');
+        clipPath.replaceChild(path, circle);
+
+        this.wedges.push({
+            clipPath,
+            circle,
+            path,
+            cx: parseFloat(circle.getAttribute('cx')) || 0,
+            cy: parseFloat(circle.getAttribute('cy')) || 0,
+            r: parseFloat(circle.getAttribute('r')) || 0
+        });
+    }
+
+    // Percent shown, 0-100; GSAP tweens this property directly
+    get progress() {
+        return this.value;
+    }
+
+    set progress(value) {
+        this.value = gsap.utils.clamp(0, 100, value);
+
+        this.wedges.forEach(wedge => {
+            wedge.path.setAttribute('d', getWedgePath(wedge, this.value / 100, this.config.startAngle));
+        });
+
+        if (this.label) {
+            const progress = { type: 'percent', value: Math.round(this.value) / 100 };
+            this.label.textContent = formatText(this.config.label.text ?? '{progress}', { progress }, this.locale);
+        }
+    }
+
+    // The intro's 0 → target sweep
+    addTo(timeline, position) {
+        this.progress = 0;
+        timeline.fromTo(this, { progress: 0 }, {
+            progress: this.config.target,
+            duration: this.config.duration,
+            ease: this.config.ease
+        }, position);
+    }
+
+    // Animate from wherever the ring is to value; vars may override duration and ease
+    setProgress(value, vars = {}) {
+        if (this.tween) this.tween.kill();
+
+        this.tween = gsap.to(this, {
+            progress: value,
+            duration: this.config.duration,
+            ease: this.config.ease,
+            ...vars
+        });
+        return this.tween;
+    }
+
+    // Put the exported circles back
+    destroy() {
+        if (this.tween) this.tween.kill();
+        this.wedges.forEach(({ clipPath, circle, path }) => {
+            if (path.parentNode === clipPath) clipPath.replaceChild(circle, path);
+        });
+        this.wedges = [];
+    }
+}
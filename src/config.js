@@ -0,0 +1,92 @@
+import { validateConfig } from "./configSchema.js";
+
+// The locale config.json itself is written in
+const DEFAULT_LOCALE = 'en';
+
+// Page locale: ?lang= wins over <html lang>, English when neither names a valid locale
+export function getLocale() {
+    const requested = new URLSearchParams(window.location.search).get('lang') || document.documentElement.lang;
+
+    try {
+        return Intl.getCanonicalLocales(requested || DEFAULT_LOCALE)[0];
+    } catch (error) {
+        return DEFAULT_LOCALE;
+    }
+}
+
+// Validate a raw config and merge it over the defaults, logging one report when anything was off
+export function resolveConfig(raw, source = 'config.json', loadError = null) {
+    const { config, report } = validateConfig(raw, source, loadError);
+
+    if (report.valid) {
+        console.log('Configuration loaded:', config);
+    } else {
+        console.warn(`Configuration from ${source} has ${report.issues.length} problem(s); defaults are used for those values`, report);
+    }
+
+    return config;
+}
+
+// Validate overrides sent at runtime, e.g. by the page embedding the hero, and merge them over a resolved config
+export function applyConfigOverrides(config, raw, source) {
+    const { config: merged, report } = validateConfig(raw, source, null, config);
+
+    if (!report.valid) {
+        console.warn(`Overrides from ${source} have ${report.issues.length} problem(s); those values are unchanged`, report);
+    }
+
+    return merged;
+}
+
+// Resolves to null when the file does not exist; a file that exists but is not valid JSON throws.
+// Dev servers answer unknown paths with index.html, so a non-JSON content type also counts as missing.
+async function fetchJson(url) {
+    const response = await fetch(url);
+    const type = response.headers && response.headers.get('content-type');
+    if (response.ok === false || (type && !type.includes('json'))) {
+        return null;
+    }
+    return response.json();
+}
+
+// Most specific first: config.de-AT.json, then config.de.json. Only the locales the base config lists
+// are requested; without a list, every locale but the default one is tried.
+function getLocalizedUrls(url, locale, available) {
+    const language = locale.split('-')[0];
+    const variants = (language === locale ? [locale] : [locale, language])
+        .filter(variant => (available ? available.includes(variant) : variant !== DEFAULT_LOCALE));
+    return variants.map(variant => url.replace(/\.json$/, `.${variant}.json`));
+}
+
+// Fetch the shared config.json plus the page locale's config.<locale>.json, whose top-level
+// sections replace the base file's. Always resolves to a usable config, falling back to the defaults.
+export async function loadConfig(url = './config.json', locale = getLocale()) {
+    let raw = null;
+    let loadError = null;
+    const sources = [url];
+
+    try {
+        raw = await fetchJson(url);
+        if (raw === null) {
+            loadError = new Error(`${url} not found`);
+        }
+    } catch (error) {
+        loadError = error;
+    }
+
+    const available = raw && Array.isArray(raw.locales) ? raw.locales : null;
+    for (const localizedUrl of getLocalizedUrls(url, locale, available)) {
+        try {
+            const localized = await fetchJson(localizedUrl);
+            if (localized === null) continue;
+
+            raw = { ...raw, ...localized };
+            sources.push(localizedUrl);
+            break;
+        } catch (error) {
+            console.warn(`Ignoring unreadable locale config ${localizedUrl}:`, error);
+        }
+    }
+
+    return resolveConfig(raw, sources.join(' + '), loadError);
+}
@@ -0,0 +1,605 @@
+import { DEFAULT_CARD_DRAG } from "./cardDrag.js";
+import { DEFAULT_CARDS } from "./cards.js";
+import { DEFAULT_CHART } from "./chart.js";
+import { DEFAULT_PROGRESS } from "./circularProgress.js";
+import { DEFAULT_EMBED } from "./embed.js";
+import { DEFAULT_INTRO, INTRO_CALLS } from "./intro.js";
+import { DEFAULT_MOBILE } from "./mobileDeck.js";
+import { DEFAULT_INTERACTION } from "./particleInteraction.js";
+import { DEFAULT_ROTATION } from "./rotation.js";
+
+// Built-in values for every setting config.json can change; the loaded file is merged over these
+export const DEFAULT_CONFIG = {
+    // Locales with a config.<locale>.json next to config.json, e.g. ["de"]; null tries any but English
+    locales: null,
+    reducedMotion: 'auto',
+    // When the intro plays: 'once' on load, 'on-first-visible' once the hero is in view,
+    // 'every-entry' from the start each time the hero scrolls into view
+    replay: 'once',
+    // Read tooltip callouts out through a polite live region as the intro reveals them
+    announceTooltips: true,
+    intro: DEFAULT_INTRO,
+    tooltips: [
+        {
+            id: 'first',
+            lines: [
+                { text: 'Market based', selector: '.first-tooltip-content-one' },
+                { text: 'pricing rollout', selector: '.first-tooltip-content-two' }
+            ],
+            parts: {
+                stroke: ['.first-tooltip-stroke'],
+                circle: ['.first-tooltip-circle-stroke', '.first-tooltip-circle'],
+                fill: ['.first-tooltip-fill', '.first-tooltip-fill-stroke']
+            },
+            offset: 0
+        },
+        {
+            id: 'second',
+            lines: [
+                {
+                    text: '{gain} margin gain',
+                    values: { gain: { type: 'currency', value: 2000000, currency: 'USD', notation: 'compact', countUp: true } },
+                    selector: '.second-tooltip-content-one'
+                },
+                { text: 'in 6 months', selector: '.second-tooltip-content-two' }
+            ],
+            parts: {
+                stroke: ['.second-tooltip-stroke'],
+                circle: ['.second-tooltip-circle-stroke', '.second-tooltip-circle'],
+                fill: ['.second-tooltip-fill', '.second-tooltip-fill-stroke']
+            },
+            offset: 0.4
+        },
+        {
+            id: 'third',
+            lines: [
+                {
+                    text: 'Saved {saving}',
+                    values: { saving: { type: 'currency', value: 75000, currency: 'USD', notation: 'compact', countUp: true } },
+                    selector: '.third-tooltip-content-one'
+                },
+                { text: 'via tariff rules', selector: '.third-tooltip-content-two' }
+            ],
+            parts: {
+                stroke: ['.third-tooltip-stroke'],
+                circle: ['.third-tooltip-circle-stroke', '.third-tooltip-circle'],
+                fill: ['.third-tooltip-fill', '.third-tooltip-gradient', '.third-tooltip-fill-stroke']
+            },
+            offset: 0.8
+        }
+    ],
+    labels: [
+        {
+            text: '{month}',
+            values: { month: { type: 'date', value: '2026-12-01', month: 'short', year: '2-digit' } },
+            selector: '.dec'
+        },
+        {
+            text: '{month}',
+            values: { month: { type: 'date', value: '2026-01-01', month: 'short', year: '2-digit' } },
+            selector: '.jan'
+        }
+    ],
+    chart: DEFAULT_CHART,
+    progress: DEFAULT_PROGRESS,
+    rotation: DEFAULT_ROTATION,
+    // Overrides for the particle presets, see PARTICLE_PRESETS
+    particles: {
+        hero: {},
+        diagonal: {},
+        footer: {}
+    },
+    interaction: DEFAULT_INTERACTION,
+    cards: DEFAULT_CARDS,
+    cardDrag: DEFAULT_CARD_DRAG,
+    mobile: DEFAULT_MOBILE,
+    embed: DEFAULT_EMBED,
+    // Scrubbed exit as #hero-section scrolls away. Each layer moves up by distance × depth pixels,
+    // so deeper layers (lower depth) lag behind nearer ones; the tooltips form their own layer.
+    scroll: {
+        enabled: true,
+        trigger: '#hero-section',
+        start: 'top top',
+        end: 'bottom top',
+        scrub: 1,
+        // #revomo-animation at the end of the exit
+        scale: 0.8,
+        opacity: 0.5,
+        distance: 160,
+        layers: {
+            // The cards' container, so the cards' own transforms stay free for cardDrag
+            figures: { target: '.background-layer-content', depth: 0.4 },
+            // The particle canvases drawn over these SVGs move with them
+            particles: { target: '#falling-particles, #particle-container', depth: 0.7 }
+        },
+        tooltipDepth: 1
+    },
+    // Applied as CSS custom properties on the hero section
+    theme: {
+        tooltipText: '#9c92c0',
+        tooltipHighlight: '#ffffff',
+        tooltipMuted: '#6f6787',
+        fontFamily: '"InterDisplay", sans-serif'
+    }
+};
+
+const seconds = { type: 'number', min: 0 };
+const selectorList = { type: ['string', 'array'], items: { type: 'string' } };
+
+// Intl.NumberFormat accepts 0-20 fraction digits
+const fractionDigits = { type: 'number', min: 0, max: 20 };
+
+// A value formatted with Intl in the page's locale, see format.js
+const formattedValueSchema = {
+    type: 'object',
+    required: ['type', 'value'],
+    properties: {
+        type: { type: 'string', enum: ['number', 'currency', 'percent', 'date'] },
+        value: { type: ['number', 'string'] },
+        // ISO 4217 code, e.g. "EUR"
+        currency: { type: 'string', pattern: /^[A-Z]{3}$/i },
+        prefix: { type: 'string' },
+        suffix: { type: 'string' },
+        decimals: fractionDigits,
+        // Count up from zero while the chart draws in
+        countUp: { type: 'boolean' },
+        notation: { type: 'string', enum: ['standard', 'compact'] },
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+        signDisplay: { type: 'string', enum: ['auto', 'always', 'exceptZero', 'never'] },
+        day: { type: 'string', enum: ['numeric', '2-digit'] },
+        month: { type: 'string', enum: ['numeric', '2-digit', 'short', 'long', 'narrow'] },
+        year: { type: 'string', enum: ['numeric', '2-digit'] },
+        weekday: { type: 'string', enum: ['short', 'long', 'narrow'] }
+    },
+    // Intl throws when the minimum ends up above the maximum; decimals stands in for whichever is not set
+    check(value) {
+        const min = value.minimumFractionDigits ?? value.decimals;
+        const max = value.maximumFractionDigits ?? value.decimals;
+        return min !== undefined && max !== undefined && min > max
+            ? 'minimum fraction digits above maximum'
+            : null;
+    }
+};
+
+// Text may hold {name} placeholders filled from values
+const textSchema = {
+    type: 'object',
+    required: ['text', 'selector'],
+    properties: {
+        text: { type: 'string' },
+        values: { type: 'object', additionalProperties: formattedValueSchema },
+        selector: { type: 'string' }
+    }
+};
+
+const tooltipSchema = {
+    type: 'object',
+    required: ['id', 'lines'],
+    properties: {
+        id: { type: 'string' },
+        lines: { type: 'array', items: textSchema },
+        parts: {
+            type: 'object',
+            properties: {
+                stroke: selectorList,
+                circle: selectorList,
+                fill: selectorList
+            }
+        },
+        offset: seconds
+    }
+};
+
+// GSAP vars for a step's initial and final state
+const tweenVarsSchema = { type: 'object', additionalProperties: { type: ['number', 'string', 'boolean'] } };
+
+// Every field is optional so config.json can retime a built-in step without repeating it
+const introStepSchema = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['tween', 'draw'] },
+        target: { type: 'string' },
+        from: tweenVarsSchema,
+        to: tweenVarsSchema,
+        duration: seconds,
+        ease: { type: 'string' },
+        stagger: {
+            type: ['number', 'object'],
+            properties: {
+                amount: seconds,
+                each: seconds,
+                from: { type: ['string', 'number'] },
+                ease: { type: 'string' }
+            }
+        },
+        position: { type: ['number', 'string'] },
+        call: { type: 'string', enum: INTRO_CALLS },
+        enabled: { type: 'boolean' }
+    }
+};
+
+// A point's label is placed under it and written like the other labels
+const chartSchema = {
+    type: 'object',
+    properties: {
+        series: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['value'],
+                properties: {
+                    value: { type: 'number' },
+                    label: textSchema
+                }
+            }
+        },
+        comparison: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['value'],
+                properties: { value: { type: 'number' } }
+            }
+        },
+        min: { type: 'number' },
+        max: { type: 'number' },
+        frame: {
+            type: 'object',
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                width: { type: 'number', min: 0 },
+                height: { type: 'number', min: 0 }
+            }
+        },
+        baseline: { type: 'number' },
+        smoothing: { type: 'number', min: 0 },
+        line: { type: 'string' },
+        area: { type: 'string' },
+        comparisonLine: { type: 'string' }
+    }
+};
+
+const progressSchema = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        target: { type: 'number', min: 0 },
+        duration: seconds,
+        ease: { type: 'string' },
+        position: { type: ['number', 'string'] },
+        startAngle: { type: 'number' },
+        targets: { type: 'string' },
+        label: {
+            type: ['object', 'null'],
+            required: ['selector'],
+            properties: {
+                text: { type: 'string' },
+                selector: { type: 'string' }
+            }
+        }
+    }
+};
+
+const rotationSchema = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        speed: { type: 'number', min: 0 },
+        direction: { type: 'string', enum: ['clockwise', 'counterclockwise'] },
+        easeIn: seconds,
+        hoverSpeed: { type: 'number', min: 0 },
+        hoverEase: seconds,
+        origin: { type: 'array', items: { type: 'number' }, length: 2 },
+        targets: { type: 'string' }
+    }
+};
+
+const particleSchema = {
+    type: 'object',
+    properties: {
+        renderer: { type: 'string', enum: ['svg', 'canvas'] },
+        maxParticles: { type: 'number', min: 0 },
+        initialCount: { type: 'number', min: 0 },
+        spawnRate: { type: 'number', min: 0 },
+        overflow: { type: 'string', enum: ['skip', 'recycle'] },
+        lifetime: { type: 'array', items: seconds, length: 2 }
+    }
+};
+
+const scrollLayerSchema = {
+    type: 'object',
+    required: ['target', 'depth'],
+    properties: {
+        target: { type: 'string' },
+        depth: { type: 'number' }
+    }
+};
+
+const interactionSchema = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        strength: { type: 'number', min: 0 },
+        radius: { type: 'number', min: 0 },
+        falloff: { type: 'number', min: 0 },
+        resistance: { type: 'number', min: 0 },
+        returnDuration: seconds,
+        touch: { type: 'boolean' },
+        disableOnCoarsePointer: { type: 'boolean' }
+    }
+};
+
+const cardActionSchema = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'string', enum: ['link', 'panel', 'event'] },
+        url: { type: 'string' },
+        target: { type: 'string' },
+        title: { type: 'string' },
+        body: { type: 'string' },
+        linkText: { type: 'string' },
+        name: { type: 'string' },
+        detail: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } }
+    }
+};
+
+const cardsSchema = {
+    type: 'object',
+    properties: {
+        label: { type: 'string' },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['selector', 'name'],
+                properties: {
+                    selector: { type: 'string' },
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    action: cardActionSchema
+                }
+            }
+        },
+        panel: {
+            type: 'object',
+            properties: {
+                duration: seconds,
+                ease: { type: 'string' },
+                spread: { type: 'number' }
+            }
+        }
+    }
+};
+
+const cardDragSchema = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        tilt: { type: 'number', min: 0 },
+        tiltSpeed: { type: 'number', min: 1 },
+        edgeResistance: { type: 'number', min: 0 },
+        throwResistance: { type: 'number', min: 0 },
+        maxThrowDuration: seconds,
+        returnDuration: seconds,
+        returnEase: { type: 'string' }
+    }
+};
+
+const mobileSchema = {
+    type: 'object',
+    properties: {
+        query: { type: 'string' },
+        particleDensity: { type: 'number', min: 0 },
+        deck: {
+            type: 'object',
+            properties: {
+                offsetY: { type: 'number' },
+                scaleStep: { type: 'number', min: 0 },
+                visible: { type: 'number', min: 1 },
+                threshold: { type: 'number', min: 0 },
+                duration: seconds
+            }
+        }
+    }
+};
+
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        reducedMotion: { type: 'string', enum: ['auto', 'always', 'never'] },
+        locales: { type: ['array', 'null'], items: { type: 'string' } },
+        replay: { type: 'string', enum: ['once', 'on-first-visible', 'every-entry'] },
+        announceTooltips: { type: 'boolean' },
+        intro: {
+            type: 'object',
+            properties: {
+                labels: { type: 'object', additionalProperties: { type: ['number', 'string'] } },
+                tooltipStagger: seconds,
+                steps: { type: 'object', additionalProperties: introStepSchema }
+            }
+        },
+        tooltips: { type: 'array', items: tooltipSchema },
+        labels: { type: 'array', items: textSchema },
+        chart: chartSchema,
+        progress: progressSchema,
+        rotation: rotationSchema,
+        particles: {
+            type: 'object',
+            properties: {
+                hero: particleSchema,
+                diagonal: particleSchema,
+                footer: particleSchema
+            }
+        },
+        interaction: interactionSchema,
+        cards: cardsSchema,
+        cardDrag: cardDragSchema,
+        mobile: mobileSchema,
+        embed: {
+            type: 'object',
+            properties: {
+                allowedOrigins: { type: 'array', items: { type: 'string' } },
+                reportHeight: { type: 'boolean' }
+            }
+        },
+        scroll: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                trigger: { type: 'string' },
+                start: { type: 'string' },
+                end: { type: 'string' },
+                scrub: { type: ['boolean', 'number'] },
+                scale: { type: 'number', min: 0 },
+                opacity: { type: 'number', min: 0 },
+                distance: { type: 'number' },
+                layers: { type: 'object', additionalProperties: scrollLayerSchema },
+                tooltipDepth: { type: 'number' }
+            }
+        },
+        theme: {
+            type: 'object',
+            properties: {
+                tooltipText: { type: 'string' },
+                tooltipHighlight: { type: 'string' },
+                tooltipMuted: { type: 'string' },
+                fontFamily: { type: 'string' }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isPlainObject(value) {
+    return typeOf(value) === 'object';
+}
+
+// Check one value against its schema node. Problems are pushed onto issues; the return value is
+// the valid part of the input, or undefined when nothing usable is left so the default applies.
+function sanitize(value, schema, path, issues) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+
+    if (!types.includes(type)) {
+        issues.push({ path, problem: 'wrong type', expected: types.join(' | '), received: type });
+        return undefined;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({ path, problem: 'unsupported value', expected: schema.enum.join(' | '), received: value });
+        return undefined;
+    }
+
+    if (type === 'number' && (!Number.isFinite(value)
+        || (schema.min !== undefined && value < schema.min)
+        || (schema.max !== undefined && value > schema.max))) {
+        const expected = schema.max === undefined
+            ? `>= ${schema.min ?? '-Infinity'}`
+            : `${schema.min ?? '-Infinity'} to ${schema.max}`;
+        issues.push({ path, problem: 'out of range', expected, received: value });
+        return undefined;
+    }
+
+    if (type === 'string' && schema.pattern && !schema.pattern.test(value)) {
+        issues.push({ path, problem: 'unsupported value', expected: String(schema.pattern), received: value });
+        return undefined;
+    }
+
+    if (type === 'array') {
+        if (schema.length !== undefined && value.length !== schema.length) {
+            issues.push({ path, problem: 'wrong length', expected: schema.length, received: value.length });
+            return undefined;
+        }
+        if (!schema.items) return value;
+
+        // Invalid entries are dropped; the rest of the list still applies
+        return value
+            .map((item, index) => sanitize(item, schema.items, `${path}[${index}]`, issues))
+            .filter(item => item !== undefined);
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        const missing = (schema.required || []).filter(key => value[key] === undefined);
+        missing.forEach(key => {
+            issues.push({ path: `${path}.${key}`, problem: 'missing required field' });
+        });
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            const propertySchema = properties[key] || schema.additionalProperties;
+            if (!propertySchema) {
+                issues.push({ path: `${path}.${key}`, problem: 'unknown key' });
+                return;
+            }
+            const sanitized = sanitize(value[key], propertySchema, `${path}.${key}`, issues);
+            if (sanitized !== undefined) {
+                result[key] = sanitized;
+            } else if ((schema.required || []).includes(key)) {
+                missing.push(key);
+            }
+        });
+
+        if (missing.length > 0) return undefined;
+
+        // Rules spanning several fields; check returns the problem, or null when the object is fine
+        const problem = schema.check ? schema.check(result) : null;
+        if (problem) {
+            issues.push({ path, problem });
+            return undefined;
+        }
+        return result;
+    }
+
+    return value;
+}
+
+// Objects merge key by key; arrays and plain values replace the default outright
+function mergeConfig(base, overrides) {
+    const result = { ...base };
+    Object.keys(overrides).forEach(key => {
+        result[key] = isPlainObject(base[key]) && isPlainObject(overrides[key])
+            ? mergeConfig(base[key], overrides[key])
+            : overrides[key];
+    });
+    return result;
+}
+
+// Validate a raw config against CONFIG_SCHEMA and merge what is valid over base, DEFAULT_CONFIG unless a
+// resolved config is being changed at runtime. Always returns a usable config, plus a report listing every
+// problem that was found.
+export function validateConfig(raw, source = 'config.json', loadError = null, base = DEFAULT_CONFIG) {
+    const issues = [];
+    let overrides = {};
+
+    if (isPlainObject(raw)) {
+        // e.g. a locale file loaded while config.json did not, which alone would look like a valid config
+        if (loadError) {
+            issues.push({
+                path: '$',
+                problem: 'base config failed to load, using defaults for what the rest does not set',
+                received: String(loadError.message || loadError)
+            });
+        }
+        overrides = sanitize(raw, CONFIG_SCHEMA, '$', issues) || {};
+    } else {
+        issues.push({
+            path: '$',
+            problem: 'missing or malformed config, using defaults',
+            received: loadError ? String(loadError.message || loadError) : typeOf(raw)
+        });
+    }
+
+    return {
+        config: mergeConfig(structuredClone(base), overrides),
+        report: { source, valid: issues.length === 0, issues }
+    };
+}
@@ -0,0 +1,227 @@
+import gsap from "gsap";
+
+// Dev-only timeline inspector, loaded when the page URL carries ?revomo-debug
+
+const STYLES = `
+.revomo-debug {
+    position: fixed;
+    left: 12px;
+    bottom: 12px;
+    z-index: 100000;
+    width: 420px;
+    padding: 10px 12px;
+    border-radius: 8px;
+    background: rgba(5, 10, 18, 0.92);
+    border: 1px solid #342f57;
+    color: #d9d4f0;
+    font: 11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+    pointer-events: auto;
+}
+.revomo-debug button {
+    margin-right: 6px;
+    padding: 2px 8px;
+    border: 1px solid #5863cc;
+    border-radius: 4px;
+    background: #221f35;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+}
+.revomo-debug input[type="range"] {
+    width: 100%;
+    margin: 0;
+}
+.revomo-debug-row {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    margin: 6px 0;
+}
+.revomo-debug-row:first-child {
+    margin-top: 0;
+}
+.revomo-debug-labels {
+    position: relative;
+    height: 16px;
+}
+.revomo-debug-label {
+    position: absolute;
+    top: 0;
+    padding-left: 2px;
+    border-left: 1px solid #aa91e6;
+    color: #9c92c0;
+    white-space: nowrap;
+    cursor: pointer;
+    font-size: 9px;
+}
+.revomo-debug-stats {
+    margin-top: 6px;
+    color: #9c92c0;
+}
+`;
+
+export class DebugOverlay {
+    // hero is the controller returned by createRevomoHero; getTimeline returns its current master timeline,
+    // which setConfig replaces
+    constructor(hero, getTimeline) {
+        this.hero = hero;
+        this.getTimeline = getTimeline;
+        this.drawnFor = null; // Timeline and labels the markers and scrub range were drawn for
+        this.element = null;
+        this.scrubbing = false;
+        this.frames = 0;
+        this.fpsSince = performance.now();
+        this.statsSince = 0;
+        this.update = () => this.tick();
+    }
+
+    get timeline() {
+        return this.getTimeline();
+    }
+
+    mount() {
+        if (!document.getElementById('revomo-debug-styles')) {
+            const style = document.createElement('style');
+            style.id = 'revomo-debug-styles';
+            style.textContent = STYLES;
+            document.head.appendChild(style);
+        }
+
+        const element = document.createElement('div');
+        element.className = 'revomo-debug';
+        element.innerHTML = `
+            <div class="revomo-debug-row">
+                <span>
+                    <button type="button" data-action="toggle">Pause</button>
+                    <button type="button" data-action="restart">Restart</button>
+                </span>
+                <span data-field="time"></span>
+            </div>
+            <div class="revomo-debug-labels" data-field="labels"></div>
+            <input type="range" min="0" step="0.01" data-field="scrub" aria-label="Timeline position">
+            <div class="revomo-debug-row">
+                <label for="revomo-debug-speed">Time scale</label>
+                <span data-field="speed"></span>
+            </div>
+            <input id="revomo-debug-speed" type="range" min="0.1" max="2" step="0.05" value="1" data-field="timeScale">
+            <div class="revomo-debug-stats" data-field="stats"></div>
+        `;
+        document.body.appendChild(element);
+        this.element = element;
+
+        this.toggleButton = element.querySelector('[data-action="toggle"]');
+        this.fields = {};
+        element.querySelectorAll('[data-field]').forEach(field => {
+            this.fields[field.dataset.field] = field;
+        });
+
+        this.renderLabels();
+        this.bindControls();
+        this.setTimeScale(this.timeline.timeScale());
+        gsap.ticker.add(this.update);
+    }
+
+    // One marker per timeline label; clicking a marker jumps there
+    renderLabels() {
+        this.drawnFor = this.getShape();
+        const duration = this.timeline.duration() || 1;
+        this.fields.scrub.max = duration.toFixed(2);
+        this.fields.labels.innerHTML = '';
+
+        Object.entries(this.timeline.labels)
+            .sort(([, a], [, b]) => a - b)
+            .forEach(([name, time], index) => {
+                const marker = document.createElement('span');
+                marker.className = 'revomo-debug-label';
+                marker.textContent = name.replace(/^call:/, '▸');
+                marker.title = `${name} @ ${time.toFixed(2)}s`;
+                marker.style.left = `${(time / duration) * 100}%`;
+                // Alternate rows so labels at the same time stay readable
+                marker.style.top = `${(index % 2) * 8}px`;
+                marker.addEventListener('click', () => this.seek(time));
+                this.fields.labels.appendChild(marker);
+            });
+    }
+
+    bindControls() {
+        this.toggleButton.addEventListener('click', () => {
+            if (this.timeline.paused()) {
+                this.hero.play();
+            } else {
+                this.hero.pause();
+            }
+        });
+
+        this.element.querySelector('[data-action="restart"]').addEventListener('click', () => this.hero.restart());
+
+        const scrub = this.fields.scrub;
+        scrub.addEventListener('pointerdown', event => {
+            this.scrubbing = true;
+            // Keeps pointerup coming to the slider when the pointer is released outside it
+            scrub.setPointerCapture(event.pointerId);
+        });
+        ['pointerup', 'pointercancel', 'change'].forEach(type => scrub.addEventListener(type, () => {
+            this.scrubbing = false;
+        }));
+        scrub.addEventListener('input', () => this.seek(parseFloat(scrub.value)));
+
+        this.fields.timeScale.addEventListener('input', () => {
+            this.setTimeScale(parseFloat(this.fields.timeScale.value));
+        });
+    }
+
+    // Scrubbing pauses the hero so the playhead stays where it is dropped
+    seek(time) {
+        this.hero.pause();
+        this.hero.seek(time);
+    }
+
+    setTimeScale(scale) {
+        this.hero.setTimeScale(scale);
+        this.fields.timeScale.value = scale;
+        this.fields.speed.textContent = `${scale.toFixed(2)}×`;
+    }
+
+    // Changes when the timeline is replaced or gains steps, e.g. the mobile deck joining the intro
+    getShape() {
+        const { timeline } = this;
+        return { timeline, signature: `${timeline.duration()} ${JSON.stringify(timeline.labels)}` };
+    }
+
+    tick() {
+        const now = performance.now();
+        const time = this.timeline.time();
+
+        const shape = this.getShape();
+        if (shape.timeline !== this.drawnFor.timeline || shape.signature !== this.drawnFor.signature) {
+            this.renderLabels();
+        }
+
+        this.frames++;
+        this.fields.time.textContent = `${time.toFixed(2)}s / ${this.timeline.duration().toFixed(2)}s`;
+        this.toggleButton.textContent = this.timeline.paused() ? 'Play' : 'Pause';
+        if (!this.scrubbing) {
+            this.fields.scrub.value = time.toFixed(2);
+        }
+
+        // FPS and particle counts only need a few refreshes per second
+        if (now - this.statsSince < 250) return;
+
+        const fps = (this.frames * 1000) / (now - this.fpsSince);
+        this.frames = 0;
+        this.fpsSince = now;
+        this.statsSince = now;
+
+        const systems = Object.entries(this.hero.getParticleStats())
+            .map(([name, stats]) => (stats ? `${name} ${stats.active}/${stats.total}` : `${name} –`));
+        this.fields.stats.textContent = `${Math.round(fps)} fps · particles ${systems.join(' · ')}`;
+    }
+
+    destroy() {
+        gsap.ticker.remove(this.update);
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+}
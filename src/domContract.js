@@ -0,0 +1,156 @@
+// The elements each page's scripts expect from the markup (often a Webflow export), checked at startup
+// so renamed classes show up as one report instead of silently missing animations.
+// Each entry: selector, required (the page cannot animate without it) and optional element types.
+
+// Shapes DrawSVG can measure and draw
+const DRAWABLE_TYPES = ['path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse'];
+
+// Particle shapes are referenced by id from <use> or drawn from their <path> children
+const SHAPE_TYPES = ['g', 'symbol', 'path'];
+
+const HERO_ELEMENTS = [
+    { selector: '#hero-section', required: true },
+    { selector: '#revomo-animation', required: true },
+    { selector: '#rotating-lines', required: true },
+    { selector: '#inner-hero', required: true },
+    { selector: '#falling-particles', required: true, types: ['svg', 'g'] },
+    { selector: '#particle-star', required: true, types: SHAPE_TYPES },
+    { selector: '#particle-polygon', required: true, types: SHAPE_TYPES },
+    { selector: '#particle-container', required: false, types: ['svg', 'g'] },
+    { selector: '.background-layer', required: false },
+    { selector: '.background-layer-figure', required: false },
+    { selector: '.mobile-background-layer-content', required: false },
+    { selector: '.mobile-background-layer-figure', required: false }
+];
+
+export const FOOTER_CONTRACT = {
+    page: 'footer',
+    elements: [
+        { selector: '.footer-container', required: false },
+        { selector: '#left-pipe-line', required: true, types: ['path'] },
+        { selector: '#center-pipe-line', required: true, types: ['path'] },
+        { selector: '#right-pipe-line', required: true, types: ['path'] },
+        { selector: '#left-circle', required: true },
+        { selector: '#center-circle', required: true },
+        { selector: '#right-circle', required: true },
+        { selector: '.orbi-outer-turbine', required: false },
+        { selector: '.orbi-inner-turbine', required: false },
+        { selector: '#circular-particle-container', required: false, types: ['svg', 'g'] },
+        { selector: '#circular-particle-star', required: false, types: SHAPE_TYPES }
+    ]
+};
+
+// The hero's contract also covers what config.json points at: tooltip texts and labels must exist,
+// tooltip parts and intro targets are optional, and DrawSVG steps and generated chart paths need drawable shapes
+export function getHeroContract(config) {
+    const elements = [...HERO_ELEMENTS];
+
+    config.tooltips.forEach(tooltip => {
+        tooltip.lines.forEach(line => elements.push({ selector: line.selector, required: true }));
+        Object.values(tooltip.parts || {}).flat().forEach(selector => elements.push({ selector, required: false }));
+    });
+
+    config.labels.forEach(label => elements.push({ selector: label.selector, required: true }));
+
+    if (config.chart.series.length >= 2) {
+        elements.push({ selector: config.chart.line, required: false, types: ['path'] });
+        elements.push({ selector: config.chart.area, required: false, types: ['path'] });
+        if (config.chart.comparison.length >= 2) {
+            elements.push({ selector: config.chart.comparisonLine, required: false, types: ['path'] });
+        }
+        config.chart.series.forEach(point => {
+            if (point.label) elements.push({ selector: point.label.selector, required: true });
+        });
+    }
+
+    config.cards.items.forEach(item => elements.push({ selector: item.selector, required: false }));
+
+    if (config.progress.enabled) {
+        elements.push({ selector: config.progress.targets, required: false });
+        if (config.progress.label) {
+            elements.push({ selector: config.progress.label.selector, required: true });
+        }
+    }
+
+    if (config.rotation.enabled) {
+        elements.push({ selector: config.rotation.targets, required: false, types: ['g'] });
+    }
+
+    Object.values(config.intro.steps).forEach(step => {
+        if (!step.target || step.enabled === false) return;
+        elements.push({
+            selector: step.target,
+            required: false,
+            types: step.type === 'draw' ? DRAWABLE_TYPES : undefined
+        });
+    });
+
+    return { page: 'hero', elements };
+}
+
+// Entries for the same selector are combined: required if any entry requires it, typed if any entry is
+function mergeEntries(elements) {
+    const bySelector = new Map();
+
+    elements.forEach(entry => {
+        const existing = bySelector.get(entry.selector);
+        if (!existing) {
+            bySelector.set(entry.selector, { ...entry });
+            return;
+        }
+        existing.required = existing.required || entry.required;
+        existing.types = existing.types || entry.types;
+    });
+
+    return [...bySelector.values()];
+}
+
+// Check every entry against the page; q scopes lookups to the component's root
+export function checkDomContract(contract, q) {
+    const elements = mergeEntries(contract.elements);
+    const issues = [];
+
+    elements.forEach(({ selector, required, types }) => {
+        let matches;
+        try {
+            matches = q(selector);
+        } catch (error) {
+            issues.push({ selector, required, problem: 'invalid selector' });
+            return;
+        }
+
+        if (matches.length === 0) {
+            issues.push({ selector, required, problem: 'missing' });
+            return;
+        }
+
+        if (types) {
+            const received = [...new Set(Array.from(matches, element => element.tagName.toLowerCase()))]
+                .filter(tag => !types.includes(tag));
+            if (received.length > 0) {
+                issues.push({ selector, required, problem: 'wrong element type', expected: types.join(' | '), received: received.join(', ') });
+            }
+        }
+    });
+
+    return {
+        page: contract.page,
+        valid: !issues.some(issue => issue.required || issue.problem !== 'missing'),
+        checked: elements.length,
+        issues
+    };
+}
+
+// One line when everything is found, otherwise one collapsed console group holding the whole report
+export function logDomReport(report) {
+    if (report.issues.length === 0) {
+        console.log(`✅ DOM contract for ${report.page}: all ${report.checked} selectors found`);
+        return;
+    }
+
+    const icon = report.valid ? '⚠️' : '❌';
+    console.groupCollapsed(`${icon} DOM contract for ${report.page}: ${report.issues.length} of ${report.checked} selectors need attention`);
+    console.table(report.issues);
+    console.log(report);
+    console.groupEnd();
+}
@@ -0,0 +1,156 @@
+// postMessage protocol between the hero in an iframe (e.g. a Webflow embed) and the page hosting it.
+// Every message, in both directions, is { protocol: 'revomo-hero', version: 1, type, payload }.
+//
+// Host → hero:  play, pause, restart, seek { time }, setTheme { theme }, setConfig { config } (without "embed")
+// Hero → host:  ready { version, duration }, introComplete, cardActivated { selector, name, action },
+//               resize { height }
+//
+// Messages from other windows or origins, other protocols or versions, and unknown types are ignored.
+export const EMBED_PROTOCOL = 'revomo-hero';
+export const EMBED_VERSION = 1;
+
+export const DEFAULT_EMBED = {
+    // Pages allowed to control the hero and receive its events: exact origins such as
+    // "https://www.example.com", "https://*.example.com" for any subdomain, or "*" for any page.
+    // Empty leaves the protocol off.
+    allowedOrigins: [],
+    // Post the document's height whenever it changes, for hosts that size the iframe to fit. The hero's
+    // CSS sizes it in vh, so a host doing this should give the iframe a fixed height below the breakpoints
+    // it cares about, or it keeps growing.
+    reportHeight: true
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function matchesOrigin(origin, pattern) {
+    if (pattern === '*' || pattern === origin) return true;
+
+    const wildcard = /^(https?:\/\/)\*\.(.+)$/.exec(pattern);
+    if (!wildcard) return false;
+
+    const [, scheme, domain] = wildcard;
+    return origin.startsWith(scheme) && origin.endsWith(`.${domain}`);
+}
+
+export class EmbedBridge {
+    // hero is the controller from createRevomoHero; root receives the hero's DOM events
+    constructor(hero, root, config, host = window.parent) {
+        this.hero = hero;
+        this.root = root;
+        this.config = config;
+        this.host = host;
+        this.hostOrigin = this.getReferrerOrigin();
+        this.height = 0;
+        this.resizeObserver = null;
+
+        this.commands = {
+            play: () => hero.play(),
+            pause: () => hero.pause(),
+            restart: () => hero.restart(),
+            seek: ({ time } = {}) => {
+                if (Number.isFinite(time)) {
+                    hero.seek(time);
+                } else {
+                    console.warn('Ignoring seek message without a numeric time');
+                }
+            },
+            setTheme: ({ theme } = {}) => {
+                if (isObject(theme)) {
+                    hero.setTheme(theme);
+                } else {
+                    console.warn('Ignoring setTheme message without a theme object');
+                }
+            },
+            setConfig: ({ config } = {}) => {
+                if (isObject(config)) {
+                    // Only the page's own config decides which origins are trusted
+                    const { embed, ...overrides } = config;
+                    if (embed !== undefined) {
+                        console.warn('Ignoring the embed section of a setConfig message');
+                    }
+                    hero.setConfig(overrides);
+                } else {
+                    console.warn('Ignoring setConfig message without a config object');
+                }
+            }
+        };
+
+        this.handleMessage = event => this.receive(event);
+        this.handleIntroComplete = () => this.post('introComplete');
+        this.handleCardActivate = event => this.post('cardActivated', event.detail);
+
+        window.addEventListener('message', this.handleMessage);
+        root.addEventListener('revomo:introcomplete', this.handleIntroComplete);
+        root.addEventListener('revomo:cardactivate', this.handleCardActivate);
+
+        if (config.reportHeight && typeof ResizeObserver === 'function') {
+            this.resizeObserver = new ResizeObserver(() => this.postHeight());
+            this.resizeObserver.observe(document.documentElement);
+        }
+    }
+
+    isAllowed(origin) {
+        return this.config.allowedOrigins.some(pattern => matchesOrigin(origin, pattern));
+    }
+
+    // The embedding page's origin as far as the iframe can tell before the host has written to it
+    getReferrerOrigin() {
+        const ancestors = window.location.ancestorOrigins;
+        if (ancestors && ancestors.length > 0) return ancestors[0];
+
+        try {
+            return document.referrer ? new URL(document.referrer).origin : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    receive(event) {
+        const { data } = event;
+        if (event.source !== this.host || !this.isAllowed(event.origin)) return;
+        if (!isObject(data) || data.protocol !== EMBED_PROTOCOL) return;
+
+        if (data.version !== EMBED_VERSION) {
+            console.warn(`Ignoring ${EMBED_PROTOCOL} message of unsupported version ${data.version}`);
+            return;
+        }
+
+        const command = Object.hasOwn(this.commands, data.type) ? this.commands[data.type] : null;
+        if (!command) {
+            console.warn(`Ignoring unknown ${EMBED_PROTOCOL} message "${data.type}"`);
+            return;
+        }
+
+        // Replies go to whichever allowed page last talked to the hero
+        this.hostOrigin = event.origin;
+        command(isObject(data.payload) ? data.payload : undefined);
+    }
+
+    // Only sent to an allowed origin; nothing is sent while the host's origin is unknown or not allowed
+    post(type, payload = {}) {
+        const origin = this.hostOrigin && this.isAllowed(this.hostOrigin)
+            ? this.hostOrigin
+            : (this.config.allowedOrigins.includes('*') ? '*' : null);
+        if (!origin) return;
+
+        this.host.postMessage({ protocol: EMBED_PROTOCOL, version: EMBED_VERSION, type, payload }, origin);
+    }
+
+    postHeight() {
+        const height = Math.ceil(document.documentElement.scrollHeight);
+        if (height === this.height) return;
+
+        this.height = height;
+        this.post('resize', { height });
+    }
+
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+        this.root.removeEventListener('revomo:introcomplete', this.handleIntroComplete);
+        this.root.removeEventListener('revomo:cardactivate', this.handleCardActivate);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+    }
+}
@@ -1,26 +1,36 @@
 import gsap from "gsap";
 import { MotionPathPlugin } from "gsap/MotionPathPlugin";
+import { createParticleEmitter } from "./particles.js";
+import { loadConfig } from "./config.js";
+import { ReducedMotion } from "./reducedMotion.js";
+import { SectionVisibility } from "./visibility.js";
+import { FOOTER_CONTRACT, checkDomContract, logDomReport } from "./domContract.js";
 
 gsap.registerPlugin(MotionPathPlugin);
 
 // Global variable for circular particle system
 let globalCircularParticleSystem = null;
 
-gsap.to(".orbi-outer-turbine", {
+// Shared with the hero: follows prefers-reduced-motion, can be forced from config.json
+const reducedMotion = new ReducedMotion();
+
+const turbineTweens = [];
+
+turbineTweens.push(gsap.to(".orbi-outer-turbine", {
     rotation: -360,
     duration: 20,
     repeat: -1,
     ease: "none",
     transformOrigin: "center center"
-});
+}));
 
-gsap.to(".orbi-inner-turbine", {
+turbineTweens.push(gsap.to(".orbi-inner-turbine", {
     rotation: -360,
     duration: 20,
     repeat: -1,
     ease: "none",
     transformOrigin: "center center"
-});
+}));
 
 
 function createPipeAnimations() {
@@ -37,12 +47,8 @@ function createPipeAnimations() {
         const path = document.querySelector(pipe.path);
         const circle = document.querySelector(pipe.circle);
 
-        if (!path) {
-            console.error(`Path not found for ${pipe.path}`);
-            return;
-        }
-        if (!circle) {
-            console.error(`Circle not found for ${pipe.circle}`);
+        // Both are required by the footer's DOM contract, which reports them when missing
+        if (!path || !circle) {
             return;
         }
 
@@ -68,273 +74,87 @@ function createPipeAnimations() {
             }, index * 0.5)
             .to(circle, { autoAlpha: 0, duration: 1 }, (index * 0.5) + 4.5);
     });
+
+    return tl;
 }
 
-createPipeAnimations();
-
-// Circular Particle System for multi-directional scatter animation
-class CircularParticleSystem {
-    constructor() {
-        this.container = document.getElementById('circular-particle-container');
-        this.particles = [];
-        this.maxParticles = 90; // Total particles across all directions (increased for 9 directions)
-        this.spawnRate = 500; // Spawn interval in milliseconds (even slower spawning)
-        this.spawnInterval = null;
-
-        // Particle settings
-        this.minSize = 1.44;
-        this.maxSize = 5;
-        this.shapeTypes = ['circle', 'star']; // Only circles and stars
-
-        // Circular directions: wider top coverage for more horizontal spread
-        this.directions = [
-            { name: 'quarter-left', angle: 160 },      // Quarter left (slightly upward)
-            { name: 'left-top', angle: 135 },          // Left-top diagonal
-            { name: 'top-left-wide', angle: 110 },     // Wide top-left
-            { name: 'top-left', angle: 100 },          // Top-left
-            { name: 'top', angle: 90 },                // Straight up
-            { name: 'top-right', angle: 80 },          // Top-right
-            { name: 'top-right-wide', angle: 70 },     // Wide top-right
-            { name: 'top-right-diagonal', angle: 45 }, // Top-right diagonal
-            { name: 'quarter-right', angle: 20 }       // Quarter right (slightly upward)
-        ];
-
-        this.setupResizeHandler();
-    }
+const pipeTimeline = createPipeAnimations();
 
-    init() {
-        if (!this.container) {
-            console.warn('Circular particle container not found');
-            return false;
-        }
+// Point in the pipe loop where every circle is visible partway along its pipe
+const PIPE_STILL_TIME = 3;
 
-        this.startAnimation();
-        console.log('Circular particle system initialized');
-        return true;
-    }
+// Offscreen or hidden-tab state for the footer section, set up once the DOM is ready
+let footerVisibility = null;
 
-    setupResizeHandler() {
-        // Debounced resize handler to prevent animation shifting
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                // Ensure circular particles container maintains proper centering after resize
-                if (this.container) {
-                    gsap.set(this.container, {
-                        clearProps: "all"
-                    });
-                }
-            }, 100);
-        });
+// Reduced motion stops the turbines, holds the pipe circles still and freezes the particles
+function applyMotionPreference(reduced) {
+    if (reduced) {
+        pipeTimeline.pause(PIPE_STILL_TIME);
     }
 
-    createParticle() {
-        const shapeType = this.getRandomShape();
-        const size = this.getRandomSize();
-
-        let element;
-        let color, opacity;
-
-        // Determine color and opacity (same as original ParticleSystem)
-        if (Math.random() < 0.8) {
-            // 80% of particles
-            color = '#ACA0E4';
-            opacity = 0.8;
-        } else {
-            // 20% of particles
-            color = '#7A42EB';
-            opacity = 0.4;
-        }
-
-        // Create different shapes
-        switch (shapeType) {
-            case 'circle':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-                element.setAttribute('r', size / 2);
-                element.setAttribute('cx', 0);
-                element.setAttribute('cy', 0);
-                break;
-
-            case 'star':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'use');
-                element.setAttribute('href', '#circular-particle-star');
-                element.setAttribute('transform', `scale(${size / 2.5})`);
-                break;
-        }
-
-        // Set consistent styling
-        element.setAttribute('fill', color);
-        element.setAttribute('opacity', opacity);
-        element.classList.add('circular-particle');
-
-        return {
-            element,
-            size,
-            shapeType,
-            isActive: true
-        };
+    if (globalCircularParticleSystem) {
+        globalCircularParticleSystem.setStaticMode(reduced);
     }
 
-    getRandomShape() {
-        // 80% circles, 20% stars (as requested)
-        if (Math.random() < 0.8) {
-            return 'circle';
-        } else {
-            return 'star';
-        }
-    }
+    updatePlayback();
+}
 
-    getRandomSize() {
-        return this.minSize + Math.random() * (this.maxSize - this.minSize);
-    }
+// Loops only run while the footer is on screen, in a visible tab and motion is allowed
+function updatePlayback() {
+    const offscreen = footerVisibility ? !footerVisibility.isActive : false;
+    const paused = offscreen || reducedMotion.matches;
 
-    spawnCircularBurst() {
-        if (!this.container) {
-            console.warn('Cannot spawn circular burst: missing container');
-            return;
-        }
+    turbineTweens.forEach(tween => tween.paused(paused));
+    pipeTimeline.paused(paused);
 
-        // Remove excess particles if needed
-        while (this.particles.length >= this.maxParticles) {
-            const oldestParticle = this.particles[0];
-            if (oldestParticle) {
-                this.removeParticle(oldestParticle);
-            }
+    if (globalCircularParticleSystem) {
+        if (offscreen) {
+            globalCircularParticleSystem.pause();
+        } else {
+            globalCircularParticleSystem.resume();
         }
-
-        // Container dimensions
-        const containerWidth = 1250;
-        const containerHeight = 679;
-        const containerCenterX = containerWidth / 2; // 625
-        const containerCenterY = containerHeight / 2; // 339.5
-
-        // Spawn particles in all 5 directions simultaneously
-        this.directions.forEach((direction, index) => {
-            const particle = this.createParticle();
-
-            // Start particles from very bottom area with slight offset
-            const startX = containerCenterX + (Math.random() - 0.5) * 30;
-            const startY = containerHeight * 0.95 + (Math.random() - 0.5) * 20; // Start from bottom 95% area (much lower)
-
-            // Position the particle in container coordinates
-            gsap.set(particle.element, {
-                x: startX,
-                y: startY,
-                rotation: Math.random() * 360,
-                autoAlpha: 0 // Start with autoAlpha 0 for smooth appearance
-            });
-
-            // Add to DOM
-            this.container.appendChild(particle.element);
-            this.particles.push(particle);
-
-            // Animate particle in the specific direction
-            this.animateParticleInDirection(particle, startX, startY, direction);
-        });
     }
+}
 
-    animateParticleInDirection(particle, startX, startY, direction) {
-        // Container dimensions
-        const containerWidth = 1250;
-        const containerHeight = 679;
-
-        // Convert angle to radians
-        const angleRad = direction.angle * Math.PI / 180;
-
-        // Calculate travel distance based on direction - increased for much farther travel
-        let travelDistance = 800 + Math.random() * 500; // 500-800 pixels travel (much farther reach)
-
-        // Apply 70% distance limit for all directions for optimal visual effect
-        travelDistance = travelDistance * 0.7; // 70% of the full calculated distance
-
-        // Calculate end position based on angle
-        const endX = startX + Math.cos(angleRad) * travelDistance;
-        const endY = startY - Math.sin(angleRad) * travelDistance; // Negative because Y increases downward
-
-        const duration = 13 + Math.random() * 5; // 13-18 seconds for ultra slow, dreamy movement
-
-        // Get the final opacity from the element itself, which was set in createParticle
-        const finalOpacity = particle.element.getAttribute('opacity');
-
-        // Create timeline for smooth fade in, movement, and fade out
-        const tl = gsap.timeline({
-            onComplete: () => this.removeParticle(particle)
-        });
-
-        // Smooth fade in with autoAlpha
-        tl.to(particle.element, {
-            autoAlpha: finalOpacity,
-            duration: 1.5,
-            ease: "power2.out"
-        })
-            // Move in direction with slower rotation
-            .to(particle.element, {
-                x: endX,
-                y: endY,
-                rotation: `+=${(Math.random() - 0.5) * 120}`, // Reduced rotation for gentler movement
-                duration: duration,
-                ease: "power1.out" // Gentler easing for slower feel
-            }, 0)
-            // Smooth fade out with autoAlpha towards the end
-            .to(particle.element, {
-                autoAlpha: 0,
-                duration: 3,
-                ease: "power2.in"
-            }, ">-3");
-    }
+reducedMotion.onChange(applyMotionPreference);
 
-    removeParticle(particle) {
-        // Remove from DOM
-        if (particle.element.parentNode) {
-            particle.element.parentNode.removeChild(particle.element);
-        }
+// Pool statistics for the circular particle system, to confirm long sessions are not leaking
+window.debugParticlePools = () => ({
+    circular: globalCircularParticleSystem ? globalCircularParticleSystem.getPoolStats() : null
+});
 
-        // Remove from particles array
-        const index = this.particles.indexOf(particle);
-        if (index > -1) {
-            this.particles.splice(index, 1);
-        }
-    }
+// Missing or mistyped footer elements, for checking a new Webflow export
+let footerDomReport = null;
+window.debugDomContract = () => footerDomReport;
 
-    startAnimation() {
-        // Clear any existing interval
-        if (this.spawnInterval) {
-            clearInterval(this.spawnInterval);
-        }
-
-        // Start infinite loop spawning
-        this.spawnInterval = setInterval(() => {
-            this.spawnCircularBurst();
-        }, this.spawnRate);
+// Initialize circular particle system
+async function initializeCircularParticleSystem() {
+    footerDomReport = checkDomContract(FOOTER_CONTRACT, selector => document.querySelectorAll(selector));
+    logDomReport(footerDomReport);
 
-        // Initial burst for immediate effect (slower start)
-        setTimeout(() => this.spawnCircularBurst(), 500);
+    // config.json can force reduced motion for testing and tune the particles
+    const config = await loadConfig();
+    reducedMotion.setMode(config.reducedMotion);
 
-        console.log('Circular particle animation started');
-    }
+    // Initialize the circular particle system
+    globalCircularParticleSystem = createParticleEmitter('footerFan', config.particles.footer);
 
-    destroy() {
-        if (this.spawnInterval) {
-            clearInterval(this.spawnInterval);
-        }
-        this.particles.forEach(particle => this.removeParticle(particle));
+    // Start the circular particle system
+    if (globalCircularParticleSystem.init()) {
+        globalCircularParticleSystem.start();
     }
-}
 
-// Initialize circular particle system
-function initializeCircularParticleSystem() {
-    // Initialize the circular particle system
-    globalCircularParticleSystem = new CircularParticleSystem();
+    footerVisibility = new SectionVisibility(document.querySelector('.footer-container') || document.body);
+    footerVisibility.onChange(updatePlayback);
 
-    // Start the circular particle system
-    globalCircularParticleSystem.init();
+    applyMotionPreference(reducedMotion.matches);
 
     // Add cleanup on page unload
     window.addEventListener('beforeunload', () => {
         if (globalCircularParticleSystem) {
             globalCircularParticleSystem.destroy();
         }
+        footerVisibility.destroy();
     });
 
     console.log('Circular particle system initialized successfully');
@@ -0,0 +1,71 @@
+// Formats structured tooltip values (amounts, percentages, dates) in the page's locale with Intl
+
+const NUMBER_OPTIONS = ['notation', 'minimumFractionDigits', 'maximumFractionDigits', 'signDisplay'];
+const DATE_OPTIONS = ['day', 'month', 'year', 'weekday'];
+
+function pickOptions(spec, keys) {
+    return keys.reduce((options, key) => {
+        if (spec[key] !== undefined) {
+            options[key] = spec[key];
+        }
+        return options;
+    }, {});
+}
+
+function formatIntl(spec, locale) {
+    if (spec.type === 'date') {
+        // ISO dates parse as UTC midnight, so format in UTC to keep the day the config names
+        const options = { timeZone: 'UTC', ...pickOptions(spec, DATE_OPTIONS) };
+        return new Intl.DateTimeFormat(locale, options).format(new Date(spec.value));
+    }
+
+    // decimals fixes the fraction digits; the explicit Intl options still win
+    const options = spec.decimals === undefined
+        ? {}
+        : { minimumFractionDigits: spec.decimals, maximumFractionDigits: spec.decimals };
+    Object.assign(options, pickOptions(spec, NUMBER_OPTIONS));
+    if (spec.type === 'currency') {
+        options.style = 'currency';
+        options.currency = spec.currency || 'USD';
+    } else if (spec.type === 'percent') {
+        options.style = 'percent';
+    }
+
+    return new Intl.NumberFormat(locale, options).format(Number(spec.value));
+}
+
+// spec: { type: 'number' | 'currency' | 'percent' | 'date', value, prefix, suffix, decimals, ...Intl options }
+export function formatValue(spec, locale) {
+    return `${spec.prefix ?? ''}${formatIntl(spec, locale)}${spec.suffix ?? ''}`;
+}
+
+// Replace {name} placeholders in text with the matching formatted values; unknown names stay as written.
+// Options Intl rejects (an unknown currency, an invalid date) leave the text as written rather than throw.
+export function formatText(text, values, locale) {
+    if (!values) return text;
+
+    try {
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            values[name] ? formatValue(values[name], locale) : placeholder
+        ));
+    } catch (error) {
+        console.warn(`Could not format "${text}":`, error.message);
+        return text;
+    }
+}
+
+// The values marked countUp at progress (0-1) of their count, each rounded to the digits it is
+// shown with; at 1 every value is exactly the configured one
+export function getCountUpValues(values, progress) {
+    if (progress >= 1) return values;
+
+    return Object.fromEntries(Object.entries(values).map(([name, spec]) => {
+        if (!spec.countUp) return [name, spec];
+
+        // Percent values are fractions shown times 100, so round the shown number and scale back
+        const scale = spec.type === 'percent' ? 100 : 1;
+        const digits = spec.decimals ?? spec.maximumFractionDigits ?? 0;
+        const value = Number((Number(spec.value) * scale * progress).toFixed(digits)) / scale;
+        return [name, { ...spec, value }];
+    }));
+}
@@ -0,0 +1,210 @@
+import gsap from "gsap";
+
+// The hero intro as data. Labels are placed first, in order, and may be relative to earlier labels;
+// each step then tweens its targets from a set initial state to a final state at a label-relative position.
+// config.json's "intro" section is merged over this key by key, so one step or label can be retimed alone.
+export const DEFAULT_INTRO = {
+    labels: {
+        reveal: 0,
+        progress: 'reveal+=1',
+        innerHero: 2.3,
+        metrics: 'innerHero+=2',
+        tooltips: 'metrics+=1',
+        footerContent: 'metrics+=3',
+        cards: 'innerHero+=2',
+        particles: 'innerHero+=2',
+        dollars: 4.5
+    },
+    // Gap between tooltips that do not set their own offset from the "tooltips" label
+    tooltipStagger: 0.4,
+    steps: {
+        revomo: {
+            target: '#revomo-animation',
+            from: { autoAlpha: 0, transformOrigin: 'center center' },
+            to: { autoAlpha: 1 },
+            duration: 1,
+            ease: 'power2.out',
+            position: 'reveal'
+        },
+        // The concentric rings around the progress ring, innermost first
+        rings: {
+            target: '#revomo-animation > svg > g > circle[stroke-width="3"]',
+            from: { opacity: 0, scale: 0.8, svgOrigin: '339.621 338.994' },
+            to: { opacity: 1, scale: 1 },
+            duration: 0.8,
+            stagger: { each: 0.08, from: 'end' },
+            ease: 'back.out(1.7)',
+            position: 'reveal+=0.3'
+        },
+        rotatingLines: {
+            target: '#rotating-lines',
+            from: { opacity: 0 },
+            to: { opacity: 1 },
+            duration: 1,
+            ease: 'power2.out',
+            position: 'reveal+=1'
+        },
+        // Spin up once the lines are in, see rotation.js
+        rotation: {
+            call: 'startRotation',
+            position: 'reveal+=2'
+        },
+        innerHero: {
+            target: '#inner-hero > *',
+            from: { autoAlpha: 0, transformOrigin: 'center center' },
+            to: { autoAlpha: 1 },
+            duration: 0.8,
+            stagger: { amount: 1.2, from: 'start', ease: 'power2.out' },
+            ease: 'power2.out',
+            position: 'innerHero'
+        },
+        metricLogo: {
+            target: '.metric-logo',
+            from: { autoAlpha: 0 },
+            to: { autoAlpha: 1 },
+            duration: 0.6,
+            ease: 'power2.out',
+            position: 'metrics'
+        },
+        background: {
+            target: '.background',
+            from: { autoAlpha: 0 },
+            to: { autoAlpha: 1 },
+            duration: 0.6,
+            ease: 'power2.out',
+            position: 'metrics+=0.3'
+        },
+        metricBackground: {
+            target: '.metric-background-gradient',
+            from: { autoAlpha: 0 },
+            to: { autoAlpha: 1 },
+            duration: 0.6,
+            ease: 'power2.out',
+            position: 'metrics+=0.6'
+        },
+        metricLines: {
+            type: 'draw',
+            target: '.metric',
+            duration: 2,
+            position: 'metrics+=1'
+        },
+        cardLayer: {
+            target: '.background-layer',
+            from: { autoAlpha: 1 }
+        },
+        cards: {
+            target: '.background-layer-figure',
+            from: {
+                autoAlpha: 0,
+                scale: 1.4,
+                rotationY: -25,
+                rotationX: 15,
+                z: -150,
+                transformOrigin: 'center center',
+                transformStyle: 'preserve-3d',
+                pointerEvents: 'none' // Disabled until the cards have settled
+            },
+            to: { autoAlpha: 0.5, scale: 1, rotationY: 0, rotationX: 0, z: 0 },
+            duration: 1.5,
+            stagger: { amount: 2, from: 'random', ease: 'power2.out' },
+            ease: 'power3.out',
+            position: 'cards'
+        },
+        cardsInteractive: {
+            target: '.background-layer-figure',
+            to: { pointerEvents: 'auto' },
+            duration: 0,
+            position: 'cards+=2'
+        },
+        particles: {
+            call: 'startParticles',
+            position: 'particles'
+        },
+        dollars: {
+            target: '.dollar',
+            from: { scale: 0, opacity: 0, transformOrigin: 'center center' },
+            to: { scale: 1, opacity: 1 },
+            duration: 0.8,
+            ease: 'back.out(2.5)',
+            stagger: { amount: 0.6, from: 'start' },
+            position: 'dollars'
+        },
+        dollarFloat: {
+            call: 'startDollarFloat',
+            position: 'dollars+=1.4'
+        }
+    }
+};
+
+// Names a call step may use; the hero supplies the functions
+export const INTRO_CALLS = ['startParticles', 'startDollarFloat', 'startRotation'];
+
+// DrawSVG only works on shapes with a length; anything else in the step fades in instead
+function addDrawStep(timeline, targets, step, position) {
+    const paths = targets.filter(element => typeof element.getTotalLength === 'function');
+    const others = targets.filter(element => !paths.includes(element));
+
+    if (paths.length > 0) {
+        gsap.set(paths, { drawSVG: '0%', autoAlpha: 1 });
+        timeline.to(paths, { drawSVG: '100%', duration: step.duration ?? 2, ease: step.ease }, position);
+    }
+
+    if (others.length > 0) {
+        gsap.set(others, { autoAlpha: 0 });
+        timeline.to(others, { autoAlpha: 1, duration: 0.8, stagger: 0.1, ease: 'power2.out' }, position);
+    }
+}
+
+// Build the intro onto timeline. q resolves step targets inside the hero; calls holds the functions
+// for call steps. Steps whose targets are not on the page are skipped.
+export function buildIntro(timeline, intro, q, calls) {
+    Object.entries(intro.labels).forEach(([name, position]) => timeline.addLabel(name, position));
+
+    Object.entries(intro.steps).forEach(([id, step]) => {
+        if (step.enabled === false) return;
+
+        const position = step.position ?? '>';
+
+        if (step.call) {
+            if (!calls[step.call]) {
+                console.warn(`Intro step "${id}" calls unknown "${step.call}"`);
+                return;
+            }
+            timeline.addLabel(`call:${step.call}`, position);
+            timeline.call(calls[step.call], [], `call:${step.call}`);
+            return;
+        }
+
+        const targets = step.target ? q(step.target) : [];
+        if (targets.length === 0) return;
+
+        if (step.type === 'draw') {
+            addDrawStep(timeline, targets, step, position);
+            return;
+        }
+
+        if (step.from) {
+            // A copy, since gsap writes into the vars it is given and the config must stay plain data
+            gsap.set(targets, { ...step.from });
+        }
+        if (!step.to) return;
+
+        const vars = { ...step.to, duration: step.duration ?? 0.5 };
+        if (step.ease) vars.ease = step.ease;
+        if (step.stagger !== undefined) vars.stagger = step.stagger;
+        timeline.to(targets, vars, position);
+    });
+}
+
+// Time at which a call step fires, or Infinity when the intro has none
+export function getCallTime(timeline, name) {
+    return timeline.labels[`call:${name}`] ?? Infinity;
+}
+
+// Where and how long the chart draws in, for animations that follow it; null when no draw step is enabled
+export function getDrawTiming(intro) {
+    const step = Object.values(intro.steps).find(candidate => candidate.type === 'draw' && candidate.enabled !== false);
+    if (!step) return null;
+
+    return { position: step.position ?? '>', duration: step.duration ?? 2, ease: step.ease };
+}
@@ -5,15 +5,34 @@ import { InertiaPlugin } from "gsap/InertiaPlugin";
 import { Physics2DPlugin } from "gsap/Physics2DPlugin";
 import { DrawSVGPlugin } from "gsap/DrawSVGPlugin";
 import { MotionPathPlugin } from "gsap/MotionPathPlugin";
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { Draggable } from "gsap/Draggable";
+import { createParticleEmitter } from "./particles.js";
+import { ParticleInteraction } from "./particleInteraction.js";
+import { CardDrag } from "./cardDrag.js";
+import { HeroCards } from "./cards.js";
+import { LiveAnnouncer } from "./announcer.js";
+import { MobileDeck } from "./mobileDeck.js";
+import { EMBED_VERSION, EmbedBridge } from "./embed.js";
+import { applyConfigOverrides, getLocale, loadConfig, resolveConfig } from "./config.js";
+import { formatText, getCountUpValues } from "./format.js";
+import { renderChart } from "./chart.js";
+import { CircularProgress } from "./circularProgress.js";
+import { RingRotation } from "./rotation.js";
+import { buildIntro, getCallTime, getDrawTiming } from "./intro.js";
+import { checkDomContract, getHeroContract, logDomReport } from "./domContract.js";
+import { ReducedMotion } from "./reducedMotion.js";
+import { SectionVisibility } from "./visibility.js";
+import { SVG_NS } from "./svg.js";
 
 // Global variables for premium plugins
 let SplitText, MorphSVGPlugin;
 
-// Global flag to prevent multiple initializations
-let isInitialized = false;
-let globalAnimationSystem = null;
-let globalParticleSystem = null;
-let globalDiagonalParticleSystem = null;
+// One hero per root element, to prevent multiple initializations
+const heroInstances = new WeakMap();
+
+// Hero created automatically on page load, unless the page opts out
+let autoHero = null;
 
 // Async function to load premium plugins
 async function loadPremiumPlugins() {
@@ -32,28 +51,59 @@ async function loadPremiumPlugins() {
     }
 
     // Register available plugins
-    const availablePlugins = [InertiaPlugin, Physics2DPlugin, DrawSVGPlugin, MotionPathPlugin];
+    const availablePlugins = [InertiaPlugin, Physics2DPlugin, DrawSVGPlugin, MotionPathPlugin, ScrollTrigger, Draggable];
     if (SplitText) availablePlugins.push(SplitText);
     if (MorphSVGPlugin) availablePlugins.push(MorphSVGPlugin);
 
     gsap.registerPlugin(...availablePlugins);
 
-    // Register ScrollTrigger from CDN if available
-    if (window.ScrollTrigger) {
-        gsap.registerPlugin(ScrollTrigger);
-    }
-
     return { SplitText, MorphSVGPlugin };
 }
 
 // Main Animation Timeline Class
 class RevomoAnimationSystem {
-    constructor(particleSystem) {
-        this.timeline = gsap.timeline();
+    constructor(root, options = {}) {
+        this.root = root;
+        this.q = gsap.utils.selector(root); // All lookups are scoped to the hero's root element
+        this.options = options;
+        this.locale = options.locale || getLocale(); // Picks config.<locale>.json and formats tooltip values
+
+        // The whole intro lives on one master timeline so it can be paused and seeked as a unit
+        this.master = gsap.timeline({
+            paused: true,
+            onComplete: () => this.dispatch('introcomplete', { duration: this.master.duration() })
+        });
+
         this.pluginsLoaded = false;
         this.config = null;
-        this.particleSystem = particleSystem;
+        this.chartPoints = null;
+        this.circularProgress = null;
+        this.rotation = null;
+        this.scrollExit = null;
+        this.dollarFloats = new Set(); // Looping float tweens; the intro's own dollar tween stays with the master
+        this.particleInteraction = null;
+        this.cardDrag = null;
+        this.cards = null;
+        this.mobileDeck = null;
+        this.breakpoints = null; // gsap.matchMedia holding the desktop and mobile setups
+        this.announcer = null; // Live region reading out tooltip callouts
+        this.domReport = null; // Result of checking the markup against the hero's DOM contract
+        this.particleSystem = null; // Created once the config is loaded
+        this.diagonalParticleSystem = null;
+        this.reducedMotion = new ReducedMotion();
+        this.visibility = null;
+        this.offscreen = false; // Hero scrolled away or tab hidden
+        this.userPaused = options.autoplay === false; // Paused through the public API
+        this.waitingForEntry = false; // Held until the hero is first in view, see setupReplay
+        this.timeScale = 1;
         this.animationsSetup = false; // Flag to prevent duplicate setup
+        this.destroyed = false; // Set by destroy; init stops at its next await
+        this.listenerCleanups = []; // Undo every DOM listener the hero adds, on destroy
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listenerCleanups.push(() => target.removeEventListener(type, handler, options));
     }
 
     async init() {
@@ -65,391 +115,364 @@ class RevomoAnimationSystem {
 
         // Load configuration first
         await this.loadConfig();
+        if (this.destroyed) return;
+
+        // Report missing or renamed markup before anything tries to animate it
+        this.domReport = checkDomContract(getHeroContract(this.config), this.q);
+        logDomReport(this.domReport);
+
+        this.reducedMotion.setMode(this.config.reducedMotion);
+        this.applyTheme(this.config.theme);
+        this.createParticleSystems();
 
         // Load premium plugins
         await loadPremiumPlugins();
+        if (this.destroyed) return;
         this.pluginsLoaded = true;
 
         // Setup animations directly - DOM should be ready by now
         this.setupAnimations();
         this.animationsSetup = true;
+
+        // Start the diagonal particle system
+        this.diagonalParticleSystem.start();
     }
 
+    // Config passed to createRevomoHero is validated the same way as a fetched config.json
     async loadConfig() {
-        try {
-            const response = await fetch('./config.json');
-            this.config = await response.json();
-            console.log('Configuration loaded:', this.config);
-        } catch (error) {
-            console.error('Failed to load configuration:', error);
-        }
+        this.config = this.options.config
+            ? resolveConfig(this.options.config, 'options.config')
+            : await loadConfig(this.options.configUrl, this.locale);
     }
 
-    updateTooltipTexts() {
-        if (!this.config || !this.config.tooltips) {
-            console.warn('No tooltip configuration available');
-            return;
-        }
+    createParticleSystems() {
+        const { hero, diagonal } = this.config.particles;
 
-        const tooltips = this.config.tooltips;
+        this.particleSystem = createParticleEmitter('heroScatter', {
+            ...hero,
+            container: this.q('#particle-container')[0] || null
+        });
+        this.particleSystem.init();
 
-        // Update first tooltip - target the div with both classes
-        const firstTooltipFirst = document.querySelector('.first-tooltip-content-one.tooltip-text');
-        if (firstTooltipFirst && tooltips.first && tooltips.first.first) {
-            firstTooltipFirst.textContent = tooltips.first.first.text;
-            console.log('✅ First tooltip updated:', tooltips.first.first.text);
-        } else {
-            console.warn('❌ First tooltip (First) element not found or config missing');
-        }
+        this.diagonalParticleSystem = createParticleEmitter('diagonalBeam', {
+            ...diagonal,
+            container: this.q('#falling-particles')[0]
+        });
+        // Mounted now so the scroll exit can move its canvas; started once the intro is set up
+        this.diagonalParticleSystem.init();
 
-        const firstTooltipSecond = document.querySelector('.first-tooltip-content-two.tooltip-text');
-        if (firstTooltipSecond && tooltips.first && tooltips.first.second) {
-            firstTooltipSecond.textContent = tooltips.first.second.text;
-            console.log('✅ First tooltip updated:', tooltips.first.second.text);
-        } else {
-            console.warn('❌ First tooltip (Second) element not found or config missing');
-        }
+        [this.particleSystem, this.diagonalParticleSystem].forEach(system => system.setTimeScale(this.timeScale));
+    }
 
-        // Update second tooltip - target the div with both classes
-        const secondTooltipFirst = document.querySelector('.second-tooltip-content-one.tooltip-text');
-        if (secondTooltipFirst && tooltips.second && tooltips.second.first) {
-            secondTooltipFirst.textContent = tooltips.second.first.text;
-            console.log('✅ Second tooltip updated:', tooltips.second.first.text);
-        } else {
-            console.warn('❌ Second tooltip (First) element not found or config missing');
-        }
+    // Hero events for the host page, e.g. revomo:introcomplete; they bubble from the hero section
+    dispatch(name, detail = {}) {
+        const target = this.getSection() || this.root;
+        target.dispatchEvent(new CustomEvent(`revomo:${name}`, { bubbles: true, detail }));
+    }
 
-        const secondTooltipSecond = document.querySelector('.second-tooltip-content-two.tooltip-text');
-        if (secondTooltipSecond && tooltips.second && tooltips.second.second) {
-            secondTooltipSecond.textContent = tooltips.second.second.text;
-            console.log('✅ Second tooltip updated:', tooltips.second.second.text);
-        } else {
-            console.warn('❌ Second tooltip (Second) element not found or config missing');
-        }
+    // Change some theme values at runtime; the rest stay as configured
+    setTheme(theme) {
+        this.config = applyConfigOverrides(this.config, { theme }, 'setTheme');
+        this.applyTheme(this.config.theme);
+    }
 
-        // Update third tooltip - first text
-        const thirdTooltipFirst = document.querySelector('.third-tooltip-content-one.tooltip-text');
-        if (thirdTooltipFirst && tooltips.third && tooltips.third.first) {
-            thirdTooltipFirst.textContent = tooltips.third.first.text;
-            console.log('✅ Third tooltip (first) updated:', tooltips.third.first.text);
-        } else {
-            console.warn('❌ Third tooltip (first) element not found or config missing');
-        }
+    // Theme colours and font reach the tooltip styles through CSS custom properties
+    applyTheme(theme) {
+        const section = this.getSection();
+        if (!section) return;
 
-        // Update third tooltip - second text
-        const thirdTooltipSecond = document.querySelector('.third-tooltip-content-two.tooltip-text');
-        if (thirdTooltipSecond && tooltips.third && tooltips.third.second) {
-            thirdTooltipSecond.textContent = tooltips.third.second.text;
-            console.log('✅ Third tooltip (second) updated:', tooltips.third.second.text);
-        } else {
-            console.warn('❌ Third tooltip (second) element not found or config missing');
-        }
+        section.style.setProperty('--revomo-tooltip-text', theme.tooltipText);
+        section.style.setProperty('--revomo-tooltip-highlight', theme.tooltipHighlight);
+        section.style.setProperty('--revomo-tooltip-muted', theme.tooltipMuted);
+        section.style.setProperty('--revomo-font-family', theme.fontFamily);
+    }
 
-        const dec = document.querySelector('.dec');
-        if (dec && tooltips.dec) {
-            dec.textContent = tooltips.dec.text;
-            console.log('✅ Dec updated:', tooltips.dec.text);
-        } else {
-            console.warn('❌ Dec element not found or config missing');
-        }
+    // Tooltip callouts from config.json, in reveal order
+    getTooltips() {
+        return this.config ? this.config.tooltips : [];
+    }
 
-        const jan = document.querySelector('.jan');
-        if (jan && tooltips.jan) {
-            jan.textContent = tooltips.jan.text;
-            console.log('✅ Jan updated:', tooltips.jan.text);
-        } else {
-            console.warn('❌ Jan element not found or config missing');
-        }
+    updateTooltipTexts() {
+        this.getTooltips().forEach(tooltip => {
+            tooltip.lines.forEach((line, index) => {
+                this.updateConfiguredText(line, `Tooltip "${tooltip.id}" line ${index + 1}`);
+            });
+        });
+
+        this.config.labels.forEach(label => {
+            this.updateConfiguredText(label, `Label ${label.selector}`);
+        });
+
+        this.config.chart.series.forEach((point, index) => {
+            if (point.label) this.updateConfiguredText(point.label, `Chart label ${index + 1}`);
+        });
 
         console.log('✅ All tooltip texts updated from configuration');
     }
 
+    // Texts live in a foreignObject that shares the selector's class; the innermost match, the div, holds the text
+    getTextElement(selector) {
+        const matches = selector ? this.q(selector) : [];
+        return matches.find(match => !match.firstElementChild) || matches[0];
+    }
+
+    updateConfiguredText({ text, values, selector }, name) {
+        const element = this.getTextElement(selector);
+        // A missing element is already in the DOM contract report
+        if (element) {
+            element.textContent = formatText(text, values, this.locale);
+            console.log(`✅ ${name} updated:`, element.textContent);
+        }
+    }
+
+    // Generated before the intro is built so DrawSVG measures the generated paths
+    createChart() {
+        const markers = this.getTooltips().map(({ parts = {} }) => ({
+            circles: parts.circle || [],
+            stems: parts.stroke || []
+        }));
+        this.chartPoints = renderChart(this.config.chart, this.q, markers);
+    }
+
     setupAnimations() {
+        this.createChart();
         this.updateTooltipTexts();
-        this.debugElements();
-        this.createMainTimeline();
-        this.createAdvancedSVGAnimations();
-        this.createDollarAnimations();
+        this.setupAnnouncer();
+        this.createIntroTimeline();
+
         this.createScrollTriggerAnimations();
         this.createCircularProgressAnimation();
+        this.setupRotation();
+        this.setupParticleInteraction();
+        this.setupBreakpoints();
         this.setupBackgroundLayerHoverEffects();
+        this.setupCards();
         this.optimizePerformance();
-    }
 
-    debugElements() {
-        // Validation of SVG elements - debug output removed
-        const elementsToCheck = [
-            { name: 'Inner Hero', selector: '#inner-hero' },
-            { name: 'Metric Logo', selector: '.metric-logo' },
-            { name: 'Background', selector: '.background' },
-            { name: 'Metric Background', selector: '.metric-background' },
-            { name: 'Metric Background Gradient', selector: '.metric-background-gradient' },
-            { name: 'Stroked Metric', selector: '.stroked-metric' },
-            { name: 'Metric', selector: '.metric' },
-            { name: 'Metric Line', selector: '.metric-line' },
-            { name: 'Metric Glow', selector: '.metric-glow' },
-            { name: 'Metric Glow Light', selector: '.metric-glow-light' },
-            { name: 'First Tooltip Content One', selector: '.first-tooltip-content-one' },
-            { name: 'First Tooltip Content Two', selector: '.first-tooltip-content-two' },
-            { name: 'Second Tooltip Content One', selector: '.second-tooltip-content-one' },
-            { name: 'Second Tooltip Content Two', selector: '.second-tooltip-content-two' },
-            { name: 'Third Tooltip Content One', selector: '.third-tooltip-content-one' },
-            { name: 'Third Tooltip Content Two', selector: '.third-tooltip-content-two' },
-            { name: 'Tooltip Stroke Elements', selector: '.first-tooltip-stroke, .second-tooltip-stroke, .third-tooltip-stroke' }
-        ];
+        // Follow prefers-reduced-motion live, starting with the current preference
+        this.applyMotionPreference(this.reducedMotion.matches);
+        this.unsubscribeReducedMotion = this.reducedMotion.onChange(reduced => this.applyMotionPreference(reduced));
 
-        // Element validation (logging removed)
-        elementsToCheck.forEach(item => {
-            const elements = document.querySelectorAll(item.selector);
-        });
+        // Idle everything while the hero is offscreen or the tab is hidden
+        this.visibility = new SectionVisibility(this.getSection());
+        this.visibility.onChange(active => this.setOffscreen(!active));
+        this.setupReplay();
+        this.setOffscreen(!this.visibility.isActive);
     }
 
-    createMainTimeline() {
-        const tl = this.timeline;
+    getSection() {
+        if (this.root.matches && this.root.matches('#hero-section')) {
+            return this.root;
+        }
+        return this.q('#hero-section')[0] || (this.root === document ? null : this.root);
+    }
 
-        // Kill any existing animations on the main container to prevent conflicts
-        gsap.killTweensOf("#revomo-animation");
-        gsap.killTweensOf("#rotating-lines");
+    setOffscreen(offscreen) {
+        this.offscreen = offscreen;
+        this.updatePlayback();
+    }
 
-        // Set transform origin to center for zoom-out effect
-        gsap.set("#revomo-animation", {
-            transformOrigin: "center center"
-        });
+    // Pause or resume every timeline, looping tween and particle system the hero owns
+    updatePlayback() {
+        const paused = this.offscreen || this.userPaused || this.waitingForEntry;
 
-        // Initial setup - start with the entire SVG hidden
-        gsap.set("#revomo-animation", {
-            autoAlpha: 0
-        });
+        this.master.paused(paused);
 
-        gsap.set("#rotating-lines", {
-            opacity: 0
-        });
-        // Main fade-in reveal animation - 2 seconds duration
-        // The entire SVG container fades in over 2 seconds
-        tl.to("#revomo-animation", {
-            autoAlpha: 1,
-            duration: 1,
-            ease: "power2.out",
-        });
+        this.dollarFloats.forEach(tween => tween.paused(paused));
+
+        if (this.rotation) {
+            this.rotation.hold('playback', paused);
+        }
 
-        tl.to("#rotating-lines", {
-            opacity: 1,
-            duration: 1,
-            animation: "rotate 5s",
-            ease: "power2.out",
+        [this.particleSystem, this.diagonalParticleSystem].forEach(system => {
+            if (!system) return;
+            if (paused) {
+                system.pause();
+            } else {
+                system.resume();
+            }
         });
     }
 
-    createAdvancedSVGAnimations() {
-        // Create advanced timeline for SVG elements
-        const advancedTl = gsap.timeline({ delay: 2.3 });
-
-        // 1. Stagger reveal-in animation for #inner-hero
-        this.createStaggerRevealAnimation(advancedTl);
-
-        // 2. AutoAlpha reveal animations in sequence
-        this.createAutoAlphaSequence(advancedTl);
-
-        // 3. Tooltip animations
-        this.createTooltipAnimations(advancedTl);
-
-        // 4. Footer Content Animation
-        this.createFooterContentAnimation(advancedTl);
+    // Reduced motion shows the intro's end state, freezes particles into a sparse field and stops looping motion
+    applyMotionPreference(reduced) {
+        [this.particleSystem, this.diagonalParticleSystem].forEach(system => {
+            if (system) system.setStaticMode(reduced);
+        });
 
-        // 5. Background Layer 3D Cards Animation - starts 2 seconds after inner-hero
-        this.createBackgroundLayer3DAnimation(advancedTl);
+        if (this.rotation) {
+            this.rotation.hold('reducedMotion', reduced);
+        }
 
-        // Start particle system after inner-hero animation completes
-        if (this.particleSystem) {
-            const staggerDuration = 1.2; // from createStaggerRevealAnimation
-            const elementDuration = 0.8; // from createStaggerRevealAnimation
-            const totalDuration = staggerDuration + elementDuration;
-            advancedTl.call(() => {
-                this.particleSystem.start();
-            }, [], `stagger-start+=${totalDuration}`);
+        // The scroll exit drops its scale and parallax under reduced motion
+        if (this.animationsSetup) {
+            this.createScrollTriggerAnimations();
         }
 
-        return advancedTl;
+        if (reduced) {
+            this.master.progress(1);
+            this.stopDollarFloat();
+        } else {
+            if (this.master.time() >= getCallTime(this.master, 'startDollarFloat')) {
+                this.startDollarFloat();
+            }
+        }
     }
 
-    createStaggerRevealAnimation(tl) {
-        const innerHero = document.querySelector("#inner-hero");
-
-        if (!innerHero) {
-            return;
-        }
+    play() {
+        this.userPaused = false;
+        this.waitingForEntry = false;
+        this.updatePlayback();
+    }
 
-        // Get all direct children of inner-hero for stagger effect
-        const staggerElements = Array.from(innerHero.children);
+    pause() {
+        this.userPaused = true;
+        this.updatePlayback();
+    }
 
-        // Set initial state - hidden
-        gsap.set(staggerElements, {
-            autoAlpha: 0,
-            transformOrigin: "center center"
-        });
+    seek(seconds) {
+        this.master.seek(seconds);
+        this.syncToTimeline();
+    }
 
-        // Stagger reveal animation
-        tl.to(staggerElements, {
-            autoAlpha: 1,
-            duration: 0.8,
-            stagger: {
-                amount: 1.2, // Total time for all elements
-                from: "start", // Start from first element
-                ease: "power2.out"
-            },
-            ease: "power2.out"
-        }, "stagger-start");
+    restart() {
+        this.userPaused = false;
+        this.waitingForEntry = false;
+        this.replayIntro();
     }
 
-    createAutoAlphaSequence(tl) {
-        // 2.1 Metric Logo
-        const metricLogos = document.querySelectorAll('.metric-logo');
-        if (metricLogos.length > 0) {
-            gsap.set(metricLogos, { autoAlpha: 0 });
-            tl.to(metricLogos, {
-                autoAlpha: 1,
-                duration: 0.6,
-                ease: "power2.out"
-            }, "sequence-start");
+    // Back to the start of the intro with every particle system reset to match, then play if nothing holds it
+    replayIntro() {
+        this.stopDollarFloat();
+        if (this.rotation) {
+            this.rotation.reset();
         }
-
-        // 2.2 Background
-        const backgrounds = document.querySelectorAll('.background');
-        if (backgrounds.length > 0) {
-            gsap.set(backgrounds, { autoAlpha: 0 });
-            tl.to(backgrounds, {
-                autoAlpha: 1,
-                duration: 0.6,
-                ease: "power2.out"
-            }, "sequence-start+=0.3");
+        if (this.cardDrag) {
+            this.cardDrag.reset();
+        }
+        if (this.mobileDeck) {
+            this.mobileDeck.reset();
+        }
+        if (this.announcer) {
+            this.announcer.clear();
+        }
+        if (this.particleSystem) {
+            this.particleSystem.reset();
+        }
+        if (this.diagonalParticleSystem && this.diagonalParticleSystem.running) {
+            this.diagonalParticleSystem.reset();
+            this.diagonalParticleSystem.start();
         }
 
-        // 2.3 Metric Background & Gradient (together)
-        const metricBgGrad = document.querySelectorAll('.metric-background-gradient');
-        const combinedBgElements = [...metricBgGrad];
+        this.master.restart();
+        this.updatePlayback();
 
-        if (combinedBgElements.length > 0) {
-            gsap.set(combinedBgElements, { autoAlpha: 0 });
-            tl.to(combinedBgElements, {
-                autoAlpha: 1,
-                duration: 0.6,
-                ease: "power2.out"
-            }, "sequence-start+=0.6");
+        if (this.reducedMotion.matches) {
+            this.applyMotionPreference(true);
         }
+    }
 
-        // 2.4 Line Chart Metric Animation with sequential drawing using DrawSVG plugin
-        const otherLineChartElements = [
-            ...document.querySelectorAll('.metric'),
-            ...document.querySelectorAll('.metric-line'),
-            ...document.querySelectorAll('.metric-glow'),
-            ...document.querySelectorAll('.metric-glow-light')
-        ];
+    // config.replay: "once" plays on load, "on-first-visible" holds the intro until the hero is first in view,
+    // "every-entry" also replays it from the start each time the hero scrolls back into view
+    setupReplay() {
+        const { replay } = this.config;
+        if (replay === 'once' || !this.visibility.canObserve) return;
+
+        this.waitingForEntry = true;
+        this.unsubscribeEntry = this.visibility.onEnter(() => {
+            if (this.waitingForEntry) {
+                this.waitingForEntry = false;
+                this.updatePlayback();
+            } else if (replay === 'every-entry' && !this.reducedMotion.matches) {
+                this.replayIntro();
+            }
+        });
+    }
 
-        // Animate line chart elements with DrawSVG sequential drawing animation
-        if (otherLineChartElements.length > 0) {
-            const drawingSVGElements = [];
-            const fallbackElements = [];
+    setTimeScale(scale) {
+        this.timeScale = scale;
+        this.master.timeScale(scale);
 
-            // Separate SVG path elements that can use DrawSVG from fallback elements
-            otherLineChartElements.forEach((element, index) => {
-                try {
-                    // Check if it's a path element and has getTotalLength method
-                    if (element.tagName.toLowerCase() === 'path' && typeof element.getTotalLength === 'function') {
-                        const pathLength = element.getTotalLength();
-
-                        // Set initial state - start completely hidden using DrawSVG
-                        gsap.set(element, {
-                            drawSVG: "0%", // Start with no stroke visible
-                            autoAlpha: 1,
-                            strokeWidth: element.getAttribute('stroke-width') || element.style.strokeWidth || '1.5',
-                        });
+        this.dollarFloats.forEach(tween => tween.timeScale(scale));
 
-                        drawingSVGElements.push({ element, pathLength, index });
-                    } else {
-                        throw new Error('Element is not a valid SVG path or lacks getTotalLength method');
-                    }
-                } catch (error) {
-                    // Fallback to opacity animation for this element
-                    gsap.set(element, { autoAlpha: 0 });
-                    fallbackElements.push(element);
-                }
-            });
+        [this.particleSystem, this.diagonalParticleSystem].forEach(system => {
+            if (system) system.setTimeScale(scale);
+        });
+        if (this.rotation) {
+            this.rotation.setTimeScale(scale);
+        }
+    }
 
-            // Create sequential drawing animation for valid paths using DrawSVG
-            // All elements (.metric, .metric-line, .metric-glow, .metric-glow-light) use same duration and timing
-            if (drawingSVGElements.length > 0) {
-                const drawingDuration = 2.0; // Same duration for all elements
-                const startDelay = 1; // Same start timing as original
+    // Seeking skips timeline callbacks, so bring particles and the dollar float in line with the playhead
+    syncToTimeline() {
+        const time = this.master.time();
+        const particleStartTime = getCallTime(this.master, 'startParticles');
 
-                drawingSVGElements.forEach(({ element, pathLength, index }) => {
-                    // Animate from 0% to 100% to create progressive drawing effect
-                    tl.to(element, {
-                        drawSVG: "100%", // Draw from start to end
-                        duration: drawingDuration, // Same duration for all elements
-                    }, `sequence-start+=${startDelay}`); // Same timing for all elements - no stagger
-                });
+        if (this.particleSystem) {
+            if (time >= particleStartTime && !this.particleSystem.running) {
+                this.particleSystem.start();
+            } else if (time < particleStartTime && this.particleSystem.running) {
+                this.particleSystem.reset();
             }
+        }
 
-            // Animate fallback elements with opacity
-            if (fallbackElements.length > 0) {
-                tl.to(fallbackElements, {
-                    autoAlpha: 1,
-                    duration: 0.8,
-                    stagger: 0.1,
-                    ease: "power2.out"
-                }, "sequence-start+=2.1");
+        if (time >= getCallTime(this.master, 'startDollarFloat')) {
+            this.startDollarFloat();
+        } else {
+            this.stopDollarFloat();
+        }
+
+        if (this.rotation) {
+            if (time >= getCallTime(this.master, 'startRotation')) {
+                if (!this.rotation.started) this.rotation.start(true);
+            } else if (this.rotation.started) {
+                this.rotation.reset();
             }
         }
+    }
+
+    // The choreography itself is data (see intro.js), so config.json can retime it
+    createIntroTimeline() {
+        const tl = this.master;
 
-        // 2.5 Tooltip animations are now handled in createTooltipAnimations
+        buildIntro(tl, this.config.intro, this.q, {
+            startParticles: () => {
+                if (this.particleSystem) this.particleSystem.start();
+            },
+            startDollarFloat: () => this.startDollarFloat(),
+            startRotation: () => {
+                if (this.rotation) this.rotation.start();
+            }
+        });
+
+        // Tooltips and footer text depend on the config's texts and on SplitText, so they are built here
+        this.createTooltipAnimations(tl);
+        this.createFooterContentAnimation(tl);
     }
 
     createTooltipAnimations(tl) {
-        const tooltips = [{
-            name: 'First Tooltip',
-            parts: [
-                '.first-tooltip-stroke',
-                '.first-tooltip-circle-stroke',
-                '.first-tooltip-circle',
-                '.first-tooltip-fill',
-                '.first-tooltip-fill-stroke',
-            ],
-            content: '.first-tooltip-content-one, .first-tooltip-content-two'
-        }, {
-            name: 'Second Tooltip',
-            parts: [
-                '.second-tooltip-stroke',
-                '.second-tooltip-circle-stroke',
-                '.second-tooltip-circle',
-                '.second-tooltip-fill',
-                '.second-tooltip-fill-stroke',
-            ],
-            content: '.second-tooltip-content-one, .second-tooltip-content-two'
-        }, {
-            name: 'Third Tooltip',
-            parts: [
-                '.third-tooltip-stroke',
-                '.third-tooltip-circle-stroke',
-                '.third-tooltip-circle',
-                '.third-tooltip-fill',
-                '.third-tooltip-gradient',
-                '.third-tooltip-fill-stroke'
-            ],
-            content: '.third-tooltip-content-one, .third-tooltip-content-two'
-        }];
-
-        const tooltipDelay = 0.4; // Delay between each tooltip animation
+        const tooltips = this.getTooltips();
+        const { tooltipStagger } = this.config.intro;
 
         tooltips.forEach((tooltip, index) => {
-            const startTime = `sequence-start+=${1 + (index * tooltipDelay)}`;
-            const tooltipParts = document.querySelectorAll(tooltip.parts.join(', '));
-            const tooltipContent = document.querySelectorAll(tooltip.content);
+            const offset = tooltip.offset ?? index * tooltipStagger;
+            const startTime = `tooltips+=${offset}`;
+            const tooltipParts = this.queryAll(this.getTooltipPartSelectors(tooltip));
+            const tooltipContent = this.queryAll(tooltip.lines.map(line => line.selector));
 
             if (tooltipContent.length > 0) {
                 // Animate content to start concurrently with the tooltip parts for a smoother effect.
                 this.animateTooltipText(tl, tooltipContent, startTime);
             }
 
+            tooltip.lines.forEach(line => this.animateCountUp(tl, line));
+
+            if (this.announcer) {
+                // Read out the final text, not the count-up
+                const announcement = tooltip.lines.map(line => formatText(line.text, line.values, this.locale)).join(' ');
+                tl.call(() => this.announcer.announce(announcement), null, startTime);
+            }
+
             if (tooltipParts.length > 0) {
                 gsap.set(tooltipParts, {
                     autoAlpha: 0,
@@ -465,26 +488,62 @@ class RevomoAnimationSystem {
                 }, startTime);
             }
 
-            // Special handling for the third tooltip's gradient
-            if (tooltip.name === 'Third Tooltip') {
-                const gradients = document.querySelectorAll('.third-tooltip-gradient');
-                gradients.forEach(gradient => {
-                    const gradientStops = gradient.querySelectorAll('stop');
-                    if (gradientStops.length > 0) {
-                        gsap.set(gradientStops, {
-                            attr: { 'stop-opacity': 0 }
-                        });
-                        tl.to(gradientStops, {
-                            attr: { 'stop-opacity': 1 },
-                            duration: 0.6,
-                            ease: 'power2.out',
-                            stagger: 0.2
-                        }, startTime);
-                    }
-                });
+            // Gradient parts also fade their stops in
+            tooltipParts.forEach(part => {
+                const gradientStops = part.querySelectorAll('stop');
+                if (gradientStops.length > 0) {
+                    gsap.set(gradientStops, {
+                        attr: { 'stop-opacity': 0 }
+                    });
+                    tl.to(gradientStops, {
+                        attr: { 'stop-opacity': 1 },
+                        duration: 0.6,
+                        ease: 'power2.out',
+                        stagger: 0.2
+                    }, startTime);
+                }
+            });
+        });
+    }
+
+    // Values marked countUp run from zero to their configured value alongside the chart draw. The tween
+    // drives a 0-1 progress whose setter re-formats the line, so seeking and scrubbing render it too.
+    animateCountUp(tl, line) {
+        const values = line.values || {};
+        if (!Object.values(values).some(spec => spec.countUp)) return;
+
+        const element = this.getTextElement(line.selector);
+        const draw = getDrawTiming(this.config.intro);
+        if (!element || !draw) return;
+
+        const locale = this.locale;
+        let current = 0;
+        const counter = {
+            get progress() {
+                return current;
+            },
+            set progress(progress) {
+                current = progress;
+                element.textContent = formatText(line.text, getCountUpValues(values, progress), locale);
             }
+        };
 
-        });
+        const vars = { progress: 1, duration: draw.duration };
+        if (draw.ease) vars.ease = draw.ease;
+        tl.fromTo(counter, { progress: 0 }, vars, draw.position);
+    }
+
+    // Elements matching any of the selectors; an empty list matches nothing
+    queryAll(selectors) {
+        return selectors.length > 0 ? this.q(selectors.join(', ')) : [];
+    }
+
+    // Stroke, circle and fill selectors in reveal order; each group may be a single selector or a list
+    getTooltipPartSelectors(tooltip) {
+        const parts = tooltip.parts || {};
+        return ['stroke', 'circle', 'fill']
+            .flatMap(group => parts[group] || [])
+            .filter(Boolean);
     }
 
     animateTooltipText(tl, elements, startTime) {
@@ -500,21 +559,24 @@ class RevomoAnimationSystem {
     }
 
     fallbackAnimate(tl, element, position) {
+        // Reduced motion keeps the fade short and in place
+        const reduced = this.reducedMotion.matches;
+
         gsap.set(element, {
             autoAlpha: 0,
-            y: 15,
+            y: reduced ? 0 : 15,
         });
         tl.to(element, {
             autoAlpha: 1,
             y: 0,
-            duration: 0.5,
+            duration: reduced ? 0.2 : 0.5,
             ease: "power2.out"
         }, position);
     }
 
     createFooterContentAnimation(tl) {
         // Get footer content elements
-        const footerElements = document.querySelectorAll('.footer-content');
+        const footerElements = this.q('.footer-content');
 
         if (footerElements.length === 0) {
             return;
@@ -542,7 +604,7 @@ class RevomoAnimationSystem {
                     ease: "power2.out"
                 },
                 ease: "back.out(1.7)"
-            }, "sequence-start+=3.0"); // Start after all other animations
+            }, "footerContent"); // Start after all other animations
             return;
         }
 
@@ -581,7 +643,7 @@ class RevomoAnimationSystem {
                             // Cleanup SplitText for performance
                             splitText.revert();
                         }
-                    }, `sequence - start+=${3.0 + (index * 0.05)}`);
+                    }, `footerContent+=${index * 0.05}`);
 
                 } catch (error) {
                     // Fallback animation
@@ -597,7 +659,7 @@ class RevomoAnimationSystem {
                         scale: 1,
                         duration: 0.4,
                         ease: "back.out(1.7)"
-                    }, `sequence - start+=${3.0 + (index * 0.05)}`);
+                    }, `footerContent+=${index * 0.05}`);
                 }
             } else {
                 // Fallback animation when SplitText is not available
@@ -613,69 +675,17 @@ class RevomoAnimationSystem {
                     scale: 1,
                     duration: 0.4,
                     ease: "back.out(1.7)"
-                }, `sequence - start+=${3.0 + (index * 0.05)}`);
+                }, `footerContent+=${index * 0.05}`);
             }
         });
     }
 
-    createBackgroundLayer3DAnimation(tl) {
-        // Get all background layer figure elements
-        const backgroundFigures = document.querySelectorAll('.background-layer-figure');
-
-        if (backgroundFigures.length === 0) {
-            console.warn('No background layer figures found for 3D animation');
-            return;
-        }
-
-        // PERFORMANCE OPTIMIZATION: Set initial state - completely hidden until animation starts
-        gsap.set(backgroundFigures, {
-            autoAlpha: 0, // Completely hidden (visibility: hidden + opacity: 0)
-            scale: 1.4,
-            rotationY: -25,
-            rotationX: 15,
-            z: -150,
-            transformOrigin: "center center",
-            transformStyle: "preserve-3d"
-        });
-
-        // Make the parent container visible before starting the animation
-        gsap.set('.background-layer', { autoAlpha: 1 });
-
-        // PERFORMANCE OPTIMIZATION: Disable pointer events during animation
-        gsap.set(backgroundFigures, {
-            pointerEvents: "none"
-        });
-
-        // Create the 3D cards floating down animation
-        // Starts 2 seconds after the inner-hero stagger animation begins
-        tl.to(backgroundFigures, {
-            autoAlpha: 0.5, // Reveal and set to target opacity
-            scale: 1,
-            rotationY: 0,
-            rotationX: 0,
-            z: 0,
-            duration: 1.5,
-            stagger: {
-                amount: 2.0, // Total stagger duration
-                from: "random", // Random order for more organic feel
-                ease: "power2.out"
-            },
-            ease: "power3.out",
-            transformOrigin: "center center"
-        }, "stagger-start+=2.0"); // Start 2 seconds after inner-hero animation
-
-        // PERFORMANCE OPTIMIZATION: Enable pointer events after animation completes
-        tl.set(backgroundFigures, {
-            pointerEvents: "auto"
-        }, "stagger-start+=4.0"); // Enable hover after cards have settled
-    }
-
     setupBackgroundLayerHoverEffects() {
-        const backgroundFigures = document.querySelectorAll('.background-layer-figure');
-        const backgroundLayer = document.querySelector('.background-layer');
+        const backgroundFigures = this.q('.background-layer-figure');
+        const backgroundLayer = this.q('.background-layer')[0];
 
+        // Both are optional in the DOM contract, which reports them when missing
         if (backgroundFigures.length === 0 || !backgroundLayer) {
-            console.warn('Background layer elements not found for hover effects');
             return;
         }
 
@@ -690,6 +700,9 @@ class RevomoAnimationSystem {
         backgroundFigures.forEach((figure, index) => {
 
             const handleHoverEnter = () => {
+                // Back over the card before it was let go, so it stays in focus
+                if (this.cardDrag) this.cardDrag.afterRelease(figure, null);
+
                 // Animate the hovered figure
                 gsap.to(figure, {
                     autoAlpha: 1,
@@ -710,6 +723,12 @@ class RevomoAnimationSystem {
             };
 
             const handleHoverLeave = () => {
+                // A dragged card keeps the focus effect until it is let go, even when the pointer outruns it
+                if (this.cardDrag && this.cardDrag.isDragging(figure)) {
+                    this.cardDrag.afterRelease(figure, handleHoverLeave);
+                    return;
+                }
+
                 // Reset the hovered figure
                 gsap.to(figure, {
                     autoAlpha: 0.5,
@@ -731,25 +750,20 @@ class RevomoAnimationSystem {
             };
 
             // Mouse events for desktop
-            figure.addEventListener('mouseenter', handleHoverEnter, { passive: true });
-            figure.addEventListener('mouseleave', handleHoverLeave, { passive: true });
+            this.listen(figure, 'mouseenter', handleHoverEnter, { passive: true });
+            this.listen(figure, 'mouseleave', handleHoverLeave, { passive: true });
 
             // Touch events for mobile and iframe compatibility
-            figure.addEventListener('touchstart', handleHoverEnter, { passive: true });
-            figure.addEventListener('touchend', handleHoverLeave, { passive: true });
+            this.listen(figure, 'touchstart', handleHoverEnter, { passive: true });
+            this.listen(figure, 'touchend', handleHoverLeave, { passive: true });
 
             // Focus events for accessibility and iframe compatibility
-            figure.addEventListener('focus', handleHoverEnter, { passive: true });
-            figure.addEventListener('blur', handleHoverLeave, { passive: true });
-
-            // Make figures focusable for iframe interaction
-            figure.setAttribute('tabindex', '0');
-            figure.setAttribute('role', 'button');
-            figure.setAttribute('aria-label', `Interactive element ${index + 1}`);
+            this.listen(figure, 'focus', handleHoverEnter, { passive: true });
+            this.listen(figure, 'blur', handleHoverLeave, { passive: true });
         });
 
         // Add global event listener to detect iframe interaction capability
-        document.addEventListener('mousemove', () => {
+        this.listen(document, 'mousemove', () => {
             // Force enable interactions if mouse movement is detected
             backgroundFigures.forEach(figure => {
                 gsap.set(figure, {
@@ -762,545 +776,311 @@ class RevomoAnimationSystem {
         console.log('Background layer hover effects setup complete with iframe compatibility');
     }
 
+    // One scrubbed timeline takes the hero out as the section scrolls away: the animation shrinks and fades
+    // while each layer drifts by its depth. Scrolling back up plays it in reverse. Reduced motion keeps the fade only.
     createScrollTriggerAnimations() {
-        if (!window.ScrollTrigger) return;
-
-        // Create scroll-triggered animations for future sections
-        ScrollTrigger.create({
-            trigger: "#hero-section",
-            start: "top top",
-            end: "bottom top",
-            scrub: 1,
-            onUpdate: (self) => {
-                const progress = self.progress;
-                gsap.to("#revomo-animation", {
-                    scale: 1 - (progress * 0.2),
-                    opacity: 1 - (progress * 0.5),
-                    duration: 0.3
-                });
+        this.killScrollExit();
+
+        const { scroll } = this.config;
+        const trigger = this.q(scroll.trigger)[0];
+        if (!scroll.enabled || !trigger) return;
+
+        const reduced = this.reducedMotion.matches;
+        const exit = gsap.timeline({
+            scrollTrigger: {
+                trigger,
+                start: scroll.start,
+                end: scroll.end,
+                scrub: scroll.scrub
             }
         });
 
-        // Parallax effect for hero content
-        ScrollTrigger.create({
-            trigger: "#hero-section",
-            start: "top top",
-            end: "bottom top",
-            scrub: true,
-            onUpdate: (self) => {
-                const progress = self.progress;
-                gsap.set(".hero-content", {
-                    y: progress * -100
-                });
+        // Faded through filter rather than opacity, which the intro's reveal animates and replays
+        exit.fromTo(this.q('#revomo-animation'), { filter: 'opacity(1)' }, {
+            scale: reduced ? 1 : scroll.scale,
+            filter: `opacity(${scroll.opacity})`,
+            ease: 'none'
+        }, 0);
+
+        if (!reduced) {
+            this.getScrollLayers().forEach(({ targets, depth }) => {
+                exit.to(targets, { y: -scroll.distance * depth, ease: 'none' }, 0);
+            });
+        }
+
+        this.scrollExit = exit;
+    }
+
+    // Parallax layers from config plus the tooltips; only SVG shapes and foreignObjects move, not the text inside them
+    getScrollLayers() {
+        const { layers, tooltipDepth } = this.config.scroll;
+        const tooltipSelectors = this.getTooltips().flatMap(tooltip => [
+            ...this.getTooltipPartSelectors(tooltip),
+            ...tooltip.lines.map(line => line.selector)
+        ]);
+
+        // A canvas renderer draws into a sibling of its SVG container, which has to move with it
+        const canvases = [this.particleSystem, this.diagonalParticleSystem]
+            .filter(system => system && system.canvas)
+            .map(system => ({ container: system.container, canvas: system.canvas }));
+        const withCanvases = targets => [
+            ...targets,
+            ...canvases.filter(({ container }) => targets.includes(container)).map(({ canvas }) => canvas)
+        ];
+
+        return [
+            ...Object.values(layers).map(layer => ({ targets: withCanvases(this.q(layer.target)), depth: layer.depth })),
+            {
+                targets: this.queryAll(tooltipSelectors).filter(element => element.namespaceURI === SVG_NS),
+                depth: tooltipDepth
             }
-        });
+        ].filter(layer => layer.targets.length > 0 && layer.depth !== 0);
     }
 
-    createDollarAnimations() {
-        // Get all dollar elements
-        const dollarElements = document.querySelectorAll('.dollar');
+    killScrollExit() {
+        if (!this.scrollExit) return;
 
-        if (dollarElements.length === 0) {
-            return;
-        }
+        this.scrollExit.scrollTrigger.kill();
+        this.scrollExit.progress(0).kill();
+        this.scrollExit = null;
+    }
 
-        // Set initial state - hidden and scaled down
-        gsap.set(dollarElements, {
-            scale: 0,
-            opacity: 0,
-            transformOrigin: "center center"
-        });
+    startDollarFloat() {
+        if (this.reducedMotion.matches) return;
 
         const floatElement = (element) => {
             const moveRange = 15; // The range of movement in pixels
             const duration = 3 + Math.random() * 3; // Duration of each movement (3-6s)
 
-            gsap.to(element, {
+            const tween = gsap.to(element, {
                 x: gsap.utils.random(-moveRange, moveRange, 1),
                 y: gsap.utils.random(-moveRange, moveRange, 1),
                 rotation: gsap.utils.random(-10, 10, 1),
                 duration: duration,
                 ease: "sine.inOut",
-                onComplete: floatElement, // Create a seamless loop
-                onCompleteParams: [element] // Pass the element to the next call
+                paused: this.offscreen || this.userPaused || this.waitingForEntry, // Resumed by updatePlayback
+                onComplete: () => {
+                    this.dollarFloats.delete(tween);
+                    floatElement(element); // Create a seamless loop
+                }
             });
+            tween.timeScale(this.timeScale);
+            this.dollarFloats.add(tween);
         };
 
-        // Create staggered spring-like reveal animation
-        const dollarTl = gsap.timeline({
-            delay: 4.5,
-            onComplete: () => {
-                dollarElements.forEach(floatElement);
-            }
-        });
-
-        dollarTl.to(dollarElements, {
-            scale: 1,
-            opacity: 1,
-            duration: 0.8,
-            ease: "back.out(2.5)",
-            stagger: {
-                amount: 0.6,
-                from: "start"
-            }
-        });
-
-        return dollarTl;
-    }
-
-    createCircularProgressAnimation() {
-        // Circular progress animation removed - no .progress-circle elements exist in DOM
-        // This method is kept to maintain the class structure
-    }
-
-    optimizePerformance() {
-        // GPU acceleration and cleanup
-        gsap.set("#revomo-animation", {
-            force3D: true,
-            transformPerspective: 1000
-        });
-
-        // Cleanup function for performance
-        this.cleanup = () => {
-            ScrollTrigger?.killAll();
-            this.timeline.kill();
-            gsap.killTweensOf("#revomo-animation");
-            gsap.killTweensOf("#rotating-lines");
-        };
-    }
-
-    // Method to destroy the animation system
-    destroy() {
-        if (this.cleanup) {
-            this.cleanup();
-        }
-        this.animationsSetup = false;
+        this.stopDollarFloat();
+        this.q('.dollar').forEach(floatElement);
     }
-}
-
-// Simple Particle System
-class ParticleSystem {
-    constructor() {
-        this.container = document.getElementById('particle-container');
-        this.particles = [];
-        this.maxParticles = 75; // Set a medium number of particles
 
-        // Size thresholds
-        this.minSize = 1.44;
-        this.maxSize = 5;
+    stopDollarFloat() {
+        this.dollarFloats.forEach(tween => tween.kill());
+        this.dollarFloats.clear();
 
-        // Shape types
-        this.shapeTypes = ['circle', 'star']; // Only circles and stars
+        const dollarElements = this.q('.dollar');
+        if (dollarElements.length === 0) return;
 
-        // Add resize handler to prevent animation shifting
-        this.setupResizeHandler();
-        this.init();
+        gsap.set(dollarElements, { x: 0, y: 0, rotation: 0 });
     }
 
-    init() {
-        // Will be started by RevomoAnimationSystem
-    }
+    // The progress sweep on #rotating-lines joins the intro at its "progress" position
+    createCircularProgressAnimation() {
+        const { progress } = this.config;
+        if (!progress.enabled) return;
 
-    setupResizeHandler() {
-        // Debounced resize handler to prevent animation shifting
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                // Ensure container maintains proper centering after resize
-                if (this.container) {
-                    gsap.set(this.container, {
-                        clearProps: "all"
-                    });
-                }
-            }, 100);
-        });
-    }
+        this.circularProgress = new CircularProgress(this.q, progress, this.locale);
+        if (!this.circularProgress.hasTargets) {
+            this.circularProgress = null;
+            return;
+        }
 
-    start() {
-        this.startAnimation();
+        this.circularProgress.addTo(this.master, progress.position);
     }
 
-    createParticle() {
-        const shapeType = this.getRandomShape();
-        const size = this.getRandomSize();
-
-        let element;
-        let color, opacity;
+    // The intro's startRotation step spins the lines up; hovering the hero speeds them up
+    setupRotation() {
+        const { rotation } = this.config;
+        if (!rotation.enabled) return;
 
-        // Determine color and opacity
-        if (Math.random() < 0.8) {
-            // 80% of particles
-            color = '#ACA0E4';
-            opacity = 0.8;
-        } else {
-            // 20% of particles
-            color = '#7A42EB';
-            opacity = 0.4;
-        }
-
-        // Create different shapes
-        switch (shapeType) {
-            case 'circle':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-                element.setAttribute('r', size / 2);
-                element.setAttribute('cx', 0);
-                element.setAttribute('cy', 0);
-                break;
-
-            case 'star':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'use');
-                element.setAttribute('href', '#particle-star');
-                element.setAttribute('transform', `scale(${size / 2.5})`);
-                break;
+        this.rotation = new RingRotation(this.q, rotation);
+        if (!this.rotation.hasTargets) {
+            this.rotation = null;
+            return;
         }
+        this.rotation.setTimeScale(this.timeScale);
 
-        // Set consistent styling
-        element.setAttribute('fill', color);
-        element.setAttribute('opacity', opacity);
-        element.classList.add('particle');
-
-        return {
-            element,
-            size,
-            shapeType,
-            isActive: true
-        };
-    }
-
-    getRandomShape() {
-        // 95% circles, 5% stars
-        if (Math.random() < 0.95) {
-            return 'circle';
-        } else {
-            return 'star';
+        const section = this.getSection();
+        if (section) {
+            this.listen(section, 'pointerenter', () => this.rotation.setHovered(true), { passive: true });
+            this.listen(section, 'pointerleave', () => this.rotation.setHovered(false), { passive: true });
         }
     }
 
-    getRandomSize() {
-        return this.minSize + Math.random() * (this.maxSize - this.minSize);
-    }
+    // Hero and diagonal particles move away from the pointer; off under reduced motion and on coarse pointers
+    setupParticleInteraction() {
+        const emitters = [this.particleSystem, this.diagonalParticleSystem].filter(system => system && system.container);
+        if (!this.config.interaction.enabled || emitters.length === 0) return;
 
-    getOpacityBasedOnSize(size) {
-        // This function is no longer used for opacity, but we can keep it in case it's needed elsewhere.
-        const sizeRange = this.maxSize - this.minSize;
-        const sizeRatio = (size - this.minSize) / sizeRange;
-        return 0.1 + (sizeRatio * 0.9);
+        this.particleInteraction = new ParticleInteraction(this.getSection(), emitters, this.config.interaction, this.reducedMotion);
     }
 
-    spawnParticle() {
-        if (this.particles.length >= this.maxParticles || !this.container) return;
-
-        const particle = this.createParticle();
-
-        // Use the particle container's coordinate system (centered)
-        const containerCenterX = 1250 / 2; // 625
-        const containerCenterY = 679 / 2; // 339.5
-
-        // Start particles from the center area with slight offset
-        const startX = containerCenterX + (Math.random() - 0.5) * 40;
-        const startY = containerCenterY * 0.85 + (Math.random() - 0.5) * 40;
-
-        // Position the particle in container coordinates
-        gsap.set(particle.element, {
-            x: startX,
-            y: startY,
-            rotation: Math.random() * 360,
-            opacity: 0 // Start with opacity 0 and fade in
-        });
-
-        // Add to DOM
-        this.container.appendChild(particle.element);
-        this.particles.push(particle);
+    // Cards become named buttons in one tab stop, see cards.js
+    setupCards() {
+        const cards = this.q('.background-layer-figure');
+        const group = this.q('.background-layer')[0];
+        if (cards.length === 0 || !group) return;
 
-        // Animate particle scattering
-        this.animateParticle(particle, startX, startY);
+        this.cards = new HeroCards(group, cards, this.config.cards, this.getSection() || group, this.reducedMotion);
     }
 
-    animateParticle(particle, startX, startY) {
-        // Container dimensions
-        const containerWidth = 1250;
-        const containerHeight = 679;
+    setupAnnouncer() {
+        const section = this.getSection();
+        if (!this.config.announceTooltips || !section) return;
 
-        // Reduce travel distance to keep particles more contained and gentle
-        const travelDistanceX = Math.random() * (containerWidth / 2.5); // Keep X-axis travel within a tighter bound
-        const direction = Math.random() < 0.5 ? -1 : 1;
-        const endX = startX + (direction * travelDistanceX);
+        this.announcer = new LiveAnnouncer(section);
+    }
 
-        const travelDistanceY = (Math.random() - 0.5) * (containerHeight * 0.8); // Constrain Y-axis travel
-        const endY = startY + travelDistanceY + 70; // Add a downward drift
+    // Breakpoint-scoped setups. gsap.matchMedia reverts one and builds the other whenever the viewport crosses
+    // config.mobile.query, including the tweens a setup added to the intro.
+    setupBreakpoints() {
+        const { query } = this.config.mobile;
 
-        const duration = 8 + Math.random() * 4; // Slower, more gentle animation (8-12 seconds)
+        this.breakpoints = gsap.matchMedia();
+        this.breakpoints.add({ isMobile: query, isDesktop: `not all and ${query}` }, context => (
+            context.conditions.isMobile ? this.setupMobile() : this.setupDesktop()
+        ));
+    }
 
-        // Get the final opacity from the element itself, which was set in createParticle
-        const finalOpacity = particle.element.getAttribute('opacity');
+    // The 3D card field: perspective on the animation and the optional card drag
+    setupDesktop() {
+        gsap.set(this.q("#revomo-animation"), { transformPerspective: 1000 });
+        this.setupCardDrag();
 
-        gsap.to(particle.element, {
-            x: endX,
-            y: endY,
-            opacity: finalOpacity, // Animate to the final opacity
-            rotation: `+=${(Math.random() - 0.5) * 180}`, // Less rotation
-            duration: duration,
-            ease: "power2.out" // A gentler ease out
-            // No onComplete, so particles remain
-        });
+        return () => {
+            if (this.cardDrag) {
+                this.cardDrag.destroy();
+                this.cardDrag = null;
+            }
+        };
     }
 
-    removeParticle(particle) {
-        // Remove from DOM
-        if (particle.element.parentNode) {
-            particle.element.parentNode.removeChild(particle.element);
+    // Phones: thinner particle fields and the mobile cards as a swipeable deck, no 3D
+    setupMobile() {
+        const { particleDensity, deck } = this.config.mobile;
+        const systems = [this.particleSystem, this.diagonalParticleSystem].filter(Boolean);
+        systems.forEach(system => system.setDensity(particleDensity));
+
+        const content = this.q('.mobile-background-layer-content')[0];
+        const cards = this.q('.mobile-background-layer-figure');
+        if (content && cards.length > 0) {
+            this.mobileDeck = new MobileDeck(content, cards, deck, this.reducedMotion);
+            this.mobileDeck.addTo(this.master, 'cards');
+            // A tween added behind the playhead only renders on the next time change; render it now
+            this.master.render(this.master.totalTime(), true, true);
         }
 
-        // Remove from particles array
-        const index = this.particles.indexOf(particle);
-        if (index > -1) {
-            this.particles.splice(index, 1);
-        }
+        return () => {
+            systems.forEach(system => system.setDensity(1));
+            if (this.mobileDeck) {
+                this.mobileDeck.destroy();
+                this.mobileDeck = null;
+            }
+        };
     }
 
-    startAnimation() {
-        // Spawn all particles at once with a slight delay
-        for (let i = 0; i < this.maxParticles; i++) {
-            setTimeout(() => this.spawnParticle(), i * 20); // Stagger the spawn
-        }
-    }
+    // Optional drag-and-throw for the background-layer cards, bounded to the hero
+    setupCardDrag() {
+        const cards = this.q('.background-layer-figure');
+        const section = this.getSection();
+        if (!this.config.cardDrag.enabled || cards.length === 0 || !section) return;
 
-    destroy() {
-        if (this.spawnInterval) {
-            clearInterval(this.spawnInterval);
-        }
-        this.particles.forEach(particle => this.removeParticle(particle));
+        this.cardDrag = new CardDrag(cards, section, this.config.cardDrag, this.reducedMotion);
     }
-}
 
-class DiagonalParticleSystem {
-    constructor() {
-        this.container = document.getElementById('falling-particles');
-        this.particles = [];
-        this.maxParticles = 45; // Increased from 25 for higher density
-        this.spawnRate = 150; // Reduced from 250 for more frequent spawning (denser)
-        this.beamWidth = 300;
-        this.beamAngle = 135; // Angle for diagonal particle movement
-        this.spawnInterval = null;
-
-        // Particle settings
-        this.minSize = 1;
-        this.maxSize = 3;
-        this.shapeTypes = ['circle', 'square', 'star', 'polygon'];
-    }
+    // Runtime control from the host page: speed, direction, hoverSpeed, easeIn, hoverEase, and paused
+    setRotation({ paused, ...options } = {}) {
+        if (!this.rotation) return;
 
-    init() {
-        if (!this.container) {
-            console.warn('Diagonal particle container not found');
-            return false;
+        this.rotation.set(options);
+        if (paused !== undefined) {
+            this.rotation.hold('api', paused);
         }
+    }
 
-        this.setupResizeHandler();
-        this.startAnimation();
+    // Move the ring to a new percentage after the intro; reduced motion jumps straight there
+    setProgress(value, vars = {}) {
+        if (!this.circularProgress) return null;
 
-        console.log('Diagonal particle system initialized');
-        return true;
+        const motion = this.reducedMotion.matches ? { duration: 0 } : {};
+        return this.circularProgress.setProgress(value, { ...vars, ...motion });
     }
 
-    setupResizeHandler() {
-        // Debounced resize handler to prevent animation shifting
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                // Ensure diagonal particles container maintains proper centering after resize
-                if (this.container) {
-                    gsap.set(this.container, {
-                        clearProps: "all"
-                    });
-                }
-            }, 100);
+    optimizePerformance() {
+        // GPU acceleration and cleanup
+        // Perspective is desktop-only, see setupDesktop
+        gsap.set(this.q("#revomo-animation"), {
+            force3D: true
         });
-    }
-
-    createParticle() {
-        const shapeType = this.getRandomShape();
-        const size = this.getRandomSize();
-        const opacity = this.getOpacityBasedOnSize(size);
-
-        let element;
-
-        switch (shapeType) {
-            case 'circle':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-                element.setAttribute('r', size / 2);
-                element.setAttribute('cx', 0);
-                element.setAttribute('cy', 0);
-                break;
-
-            case 'square':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                element.setAttribute('width', size);
-                element.setAttribute('height', size);
-                element.setAttribute('x', -size / 2);
-                element.setAttribute('y', -size / 2);
-                break;
-
-            case 'star':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'use');
-                element.setAttribute('href', '#particle-star');
-                element.setAttribute('transform', `scale(${size / 3})`);
-                break;
-
-            case 'polygon':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'use');
-                element.setAttribute('href', '#particle-polygon');
-                element.setAttribute('transform', `scale(${size / 2.5})`);
-                break;
-        }
 
-        // Use neutral particle styling
-        element.setAttribute('fill', '#ACA0E4'); // Neutral color
-        element.setAttribute('opacity', opacity);
-        element.classList.add('diagonal-particle');
-
-        return {
-            element,
-            size,
-            shapeType,
-            isActive: true
+        // Cleanup function for performance
+        this.cleanup = () => {
+            this.killScrollExit();
+            this.stopDollarFloat();
+            this.master.kill();
+            gsap.killTweensOf(this.q("#revomo-animation"));
+            gsap.killTweensOf(this.q("#rotating-lines"));
         };
     }
 
-    getRandomShape() {
-        return this.shapeTypes[Math.floor(Math.random() * this.shapeTypes.length)];
-    }
-
-    getRandomSize() {
-        return this.minSize + Math.random() * (this.maxSize - this.minSize);
-    }
-
-    getOpacityBasedOnSize(size) {
-        const sizeRange = this.maxSize - this.minSize;
-        const sizeRatio = (size - this.minSize) / sizeRange;
-        return 0.3 + (sizeRatio * 0.7); // 30% to 100% opacity
-    }
-
-    spawnParticle() {
-        if (!this.container) {
-            console.warn('Cannot spawn particle: missing container');
-            return;
+    // Method to destroy the animation system
+    destroy() {
+        this.destroyed = true;
+        if (this.cleanup) {
+            this.cleanup();
+        } else {
+            this.master.kill(); // Destroyed before setup got as far as optimizePerformance
         }
-
-        if (this.particles.length >= this.maxParticles) {
-            const oldestParticle = this.particles[0];
-            if (oldestParticle) {
-                this.removeParticle(oldestParticle);
-            }
+        if (this.unsubscribeReducedMotion) {
+            this.unsubscribeReducedMotion();
         }
-
-        const particle = this.createParticle();
-
-        // Use container coordinate system (1250x679)
-        const containerWidth = 1250;
-        const containerHeight = 679;
-
-        // Spawn particles inside the rotated beam, starting from top-right area of container
-        const distAlongBeam = Math.random() * 200; // Spawn within the first 200px of the beam's length
-        const distAcrossBeam = (Math.random() - 0.5) * this.beamWidth * 0.9; // Use 90% of beam width
-
-        const angleRad = this.beamAngle * Math.PI / 180;
-
-        // Convert from beam's local coordinates to rotated coordinates
-        const localX = distAlongBeam;
-        const localY = distAcrossBeam;
-        const rotatedX = localX * Math.cos(angleRad) - localY * Math.sin(angleRad);
-        const rotatedY = localX * Math.sin(angleRad) + localY * Math.cos(angleRad);
-
-        // Translate to the beam's origin point at the top-right area of the container
-        const spawnX = containerWidth + rotatedX;
-        const spawnY = 0 + rotatedY;
-
-        gsap.set(particle.element, {
-            x: spawnX,
-            y: spawnY,
-            rotation: Math.random() * 360,
-            opacity: 0
+        if (this.unsubscribeEntry) {
+            this.unsubscribeEntry();
+        }
+        if (this.visibility) {
+            this.visibility.destroy();
+            this.visibility = null;
+        }
+        [this.particleSystem, this.diagonalParticleSystem].forEach(system => {
+            if (system) system.destroy();
         });
-
-        this.container.appendChild(particle.element);
-        this.particles.push(particle);
-
-        this.animateParticle(particle, spawnX, spawnY);
-    }
-
-    animateParticle(particle, startX, startY) {
-        const angleRad = this.beamAngle * Math.PI / 180;
-        // Travel far enough to cross the entire container
-        const containerHeight = 679;
-        const travelDist = (containerHeight / Math.sin(angleRad)) * 1.5;
-
-        // Add slight random drift to make movement feel more natural
-        const driftAngle = (Math.random() - 0.5) * 0.1; // +/- 0.05 radians from beam angle
-        const finalAngle = angleRad + driftAngle;
-
-        const endX = startX + travelDist * Math.cos(finalAngle);
-        const endY = startY + travelDist * Math.sin(finalAngle);
-
-        const duration = 20 + Math.random() * 10; // Slower, more gentle movement (20-30 seconds)
-
-        const tl = gsap.timeline({ onComplete: () => this.removeParticle(particle) });
-
-        tl.to(particle.element, {
-            opacity: this.getOpacityBasedOnSize(particle.size),
-            duration: 1,
-            ease: "power2.inOut"
-        })
-            .to(particle.element, {
-                x: endX,
-                y: endY,
-                rotation: `+=${(Math.random() - 0.5) * 270}`,
-                duration: duration,
-                ease: "none"
-            }, 0)
-            .to(particle.element, {
-                opacity: 0,
-                duration: 2,
-                ease: "power2.in"
-            }, ">-2");
-    }
-
-    removeParticle(particle) {
-        if (particle.element.parentNode) {
-            particle.element.parentNode.removeChild(particle.element);
+        if (this.circularProgress) {
+            this.circularProgress.destroy();
+            this.circularProgress = null;
         }
-
-        const index = this.particles.indexOf(particle);
-        if (index > -1) {
-            this.particles.splice(index, 1);
+        if (this.rotation) {
+            this.rotation.destroy();
+            this.rotation = null;
         }
-    }
-
-    startAnimation() {
-        // Clear any existing interval
-        if (this.spawnInterval) {
-            clearInterval(this.spawnInterval);
+        if (this.particleInteraction) {
+            this.particleInteraction.destroy();
+            this.particleInteraction = null;
         }
-
-        // Start continuous spawning loop
-        this.spawnInterval = setInterval(() => {
-            this.spawnParticle();
-        }, this.spawnRate);
-
-        // Initial particles with staggered timing for immediate effect
-        for (let i = 0; i < 5; i++) {
-            setTimeout(() => this.spawnParticle(), i * 100);
+        if (this.breakpoints) {
+            // Tears down the desktop or mobile setup, card drag and deck included
+            this.breakpoints.revert();
+            this.breakpoints = null;
         }
-
-        console.log('Diagonal particle animation started');
-    }
-
-    destroy() {
-        if (this.spawnInterval) {
-            clearInterval(this.spawnInterval);
+        if (this.cards) {
+            this.cards.destroy();
+            this.cards = null;
+        }
+        if (this.announcer) {
+            this.announcer.destroy();
+            this.announcer = null;
         }
-        this.particles.forEach(particle => this.removeParticle(particle));
+        this.listenerCleanups.forEach(cleanup => cleanup());
+        this.listenerCleanups = [];
+        this.reducedMotion.destroy();
+        this.animationsSetup = false;
     }
 }
 
@@ -1341,60 +1121,197 @@ function debugIframeInteractions() {
 // Make debug function globally available
 window.debugIframeInteractions = debugIframeInteractions;
 
-// Single initialization function to prevent duplicates
-async function initializeRevomoAnimation() {
+// Pool statistics for each particle system, to confirm long sessions are not leaking
+window.debugParticlePools = () => (autoHero ? autoHero.getParticleStats() : { hero: null, diagonal: null });
+
+// The hero's DOM contract report, to check a new Webflow export
+window.debugDomContract = () => (autoHero ? autoHero.getDomReport() : null);
+
+// Create a hero inside rootElement and return a controller for it.
+// options: config (skips fetching config.json), configUrl, locale, autoplay (false starts paused)
+export function createRevomoHero(rootElement = document, options = {}) {
     // Prevent multiple initializations
-    if (isInitialized) {
+    if (heroInstances.has(rootElement)) {
         console.warn('Revomo animation already initialized');
-        return;
+        return heroInstances.get(rootElement);
     }
 
+    const q = gsap.utils.selector(rootElement);
+
     // Check if containers exist
-    if (!document.getElementById('falling-particles')) {
+    if (!q('#falling-particles')[0]) {
         console.warn('Particle container not found, skipping initialization');
-        return;
+        return null;
     }
 
-    try {
-        isInitialized = true;
-
-        // Initialize particle systems
-        globalParticleSystem = new ParticleSystem();
-        globalDiagonalParticleSystem = new DiagonalParticleSystem();
-
-        // Initialize main animation system
-        globalAnimationSystem = new RevomoAnimationSystem(globalParticleSystem);
-        await globalAnimationSystem.init();
-
-        // Start the diagonal particle system
-        globalDiagonalParticleSystem.init();
+    const initialize = instance => instance.init()
+        .then(() => {
+            if (instance.destroyed) return; // Destroyed while loading
+            console.log('Revomo animation system initialized successfully');
+        })
+        .catch(error => {
+            console.error('Error initializing animation systems:', error);
+        });
 
-        // Add cleanup on page unload
-        window.addEventListener('beforeunload', () => {
-            if (globalAnimationSystem) {
-                globalAnimationSystem.destroy();
+    // Initialize main animation system; setConfig swaps in a rebuilt one
+    let system = new RevomoAnimationSystem(rootElement, options);
+    let ready = initialize(system);
+    let destroyed = false;
+
+    const hero = {
+        // Resolves once config, plugins and timelines are set up, and again after each setConfig
+        get ready() {
+            return ready;
+        },
+        play() {
+            system.play();
+            return hero;
+        },
+        pause() {
+            system.pause();
+            return hero;
+        },
+        // Jump the intro to a time in seconds; applied once the timelines exist
+        seek(seconds) {
+            ready.then(() => system.seek(seconds));
+            return hero;
+        },
+        restart() {
+            ready.then(() => system.restart());
+            return hero;
+        },
+        setTimeScale(scale) {
+            system.setTimeScale(scale);
+            return hero;
+        },
+        // Animate the ring on #rotating-lines to a percentage; vars may override duration and ease
+        setProgress(value, vars) {
+            ready.then(() => system.setProgress(value, vars));
+            return hero;
+        },
+        // Change the ring's spin at runtime, e.g. { speed: 40, direction: 'counterclockwise' } or { paused: true }
+        setRotation(options) {
+            ready.then(() => system.setRotation(options));
+            return hero;
+        },
+        // Change theme colours or font, e.g. { tooltipHighlight: '#ffd66b' }
+        setTheme(theme) {
+            ready.then(() => system.setTheme(theme));
+            return hero;
+        },
+        // Rebuild the hero with overrides merged over its current config, at the same point of the intro
+        setConfig(overrides) {
+            ready = ready.then(() => {
+                if (destroyed || !system.config) return undefined;
+
+                const config = applyConfigOverrides(system.config, overrides, 'setConfig');
+                const time = system.master.time();
+                const autoplay = !system.userPaused;
+
+                // Leave every element at its end state, which the new intro's from() tweens read as their targets
+                system.master.progress(1, true);
+                system.destroy();
+
+                system = new RevomoAnimationSystem(rootElement, { ...options, config, autoplay });
+                return initialize(system).then(() => {
+                    if (destroyed || system.destroyed) return;
+                    system.seek(time);
+
+                    // The bridge holds on to the old system's config
+                    if (embedded) connectBridge();
+                });
+            });
+            return hero;
+        },
+        // Missing or mistyped elements found at startup, null until ready resolves
+        getDomReport() {
+            return system.domReport;
+        },
+        getParticleStats() {
+            return {
+                hero: system.particleSystem ? system.particleSystem.getPoolStats() : null,
+                diagonal: system.diagonalParticleSystem ? system.diagonalParticleSystem.getPoolStats() : null
+            };
+        },
+        destroy() {
+            destroyed = true;
+            if (overlay) {
+                overlay.destroy();
             }
-            if (globalParticleSystem) {
-                globalParticleSystem.destroy();
+            if (bridge) {
+                bridge.destroy();
             }
-            if (globalDiagonalParticleSystem) {
-                globalDiagonalParticleSystem.destroy();
+            system.destroy();
+            heroInstances.delete(rootElement);
+            if (autoHero === hero) {
+                autoHero = null;
             }
-        });
+        }
+    };
 
-        // Auto-debug in iframe context
-        setTimeout(() => {
-            if (window.self !== window.top) {
-                console.log('🎯 Iframe detected - running interaction debug');
-                debugIframeInteractions();
-            }
-        }, 5000);
+    // Timeline inspector for tuning the intro in the browser, only loaded with ?revomo-debug
+    let overlay = null;
+    if (new URLSearchParams(window.location.search).has('revomo-debug')) {
+        ready
+            .then(() => import('./debugOverlay.js'))
+            .then(({ DebugOverlay }) => {
+                if (destroyed) return; // Destroyed while loading
+                overlay = new DebugOverlay(hero, () => system.master);
+                overlay.mount();
+            });
+    }
 
-        console.log('Revomo animation system initialized successfully');
-    } catch (error) {
-        console.error('Error initializing animation systems:', error);
-        isInitialized = false; // Reset flag on error to allow retry
+    // Inside an iframe, talk to the embedding page over postMessage once allowed origins are configured
+    const embedded = window.self !== window.top;
+    let bridge = null;
+    const connectBridge = () => {
+        // A page that already talked to the old bridge keeps receiving events
+        const hostOrigin = bridge && bridge.hostOrigin;
+        if (bridge) {
+            bridge.destroy();
+            bridge = null;
+        }
+        if (destroyed || !system.config) return;
+
+        const { embed } = system.config;
+        if (embed.allowedOrigins.length === 0) return;
+
+        bridge = new EmbedBridge(hero, rootElement, embed);
+        if (hostOrigin) bridge.hostOrigin = hostOrigin;
+        bridge.post('ready', { version: EMBED_VERSION, duration: system.master.duration() });
+    };
+    if (embedded) {
+        ready.then(connectBridge);
     }
+
+    heroInstances.set(rootElement, hero);
+    return hero;
+}
+
+window.RevomoHero = { create: createRevomoHero };
+
+// Create the page's hero, unless #hero-section opts out with data-revomo-autoinit="false"
+function initializeRevomoAnimation() {
+    const section = document.getElementById('hero-section');
+    if (section && section.dataset.revomoAutoinit === 'false') {
+        return;
+    }
+
+    autoHero = createRevomoHero(document);
+    if (!autoHero) return;
+
+    const hero = autoHero;
+
+    // Add cleanup on page unload
+    window.addEventListener('beforeunload', () => hero.destroy());
+
+    // Auto-debug in iframe context
+    setTimeout(() => {
+        if (window.self !== window.top) {
+            console.log('🎯 Iframe detected - running interaction debug');
+            debugIframeInteractions();
+        }
+    }, 5000);
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,192 @@
+import gsap from "gsap";
+import { Draggable } from "gsap/Draggable";
+
+// The phone layout (config.json "mobile"). Set up and torn down by gsap.matchMedia() in main.js as the
+// viewport crosses the breakpoint; on phones the hero keeps fewer particles and the mobile cards form a
+// stacked deck instead of the desktop's 3D card field.
+export const DEFAULT_MOBILE = {
+    // The phone layout's media query; keep it in step with the .mobile-background-layer rules in style.css
+    query: '(max-width: 768px)',
+    // Share of each particle system's maxParticles kept on phones
+    particleDensity: 0.5,
+    deck: {
+        // Each card behind the front one sits this many pixels lower and this much smaller
+        offsetY: 14,
+        scaleStep: 0.06,
+        // Cards visible in the stack; the rest wait hidden at the back
+        visible: 3,
+        // Horizontal swipe, in pixels, that sends the front card to the back
+        threshold: 80,
+        duration: 0.5
+    }
+};
+
+// Swipeable stack of the .mobile-background-layer-figure cards. Swiping the front card sideways (or pressing
+// an arrow key on it) throws it out and it rejoins at the back. Transforms stay 2D.
+export class MobileDeck {
+    constructor(content, cards, config, reducedMotion) {
+        this.content = content;
+        this.config = config;
+        this.reducedMotion = reducedMotion;
+        this.cards = cards;
+        this.order = [...cards];
+        this.cycling = false;
+        this.tweens = new Set(); // The deck's own tweens; the intro's tween on the cards belongs to the master timeline
+
+        content.classList.add('is-deck');
+        this.layout(false);
+
+        this.draggables = cards.map(card => Draggable.create(card, {
+            type: 'x',
+            onDrag() {
+                gsap.set(card, { rotation: this.x / 20 });
+            },
+            onRelease: () => this.release(card)
+        })[0]);
+
+        this.handleKeydown = event => {
+            if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+                event.preventDefault();
+                this.next(event.key === 'ArrowLeft' ? -1 : 1);
+            }
+        };
+        cards.forEach(card => card.addEventListener('keydown', this.handleKeydown));
+
+        this.updateFront();
+    }
+
+    // With a duration of 0 (reduced motion) the change is applied at once and onComplete runs straight away
+    animate(card, { onComplete, ...vars }) {
+        if (vars.duration === 0) {
+            gsap.set(card, vars);
+            if (onComplete) onComplete();
+            return null;
+        }
+
+        const tween = gsap.to(card, vars);
+        this.tweens.add(tween);
+        tween.eventCallback('onComplete', () => {
+            this.tweens.delete(tween);
+            if (onComplete) onComplete();
+        });
+        return tween;
+    }
+
+    killTweens() {
+        this.tweens.forEach(tween => tween.kill());
+        this.tweens.clear();
+        this.cycling = false;
+    }
+
+    get duration() {
+        return this.reducedMotion.matches ? 0 : this.config.duration;
+    }
+
+    // Position in the stack: 0 is the front
+    getSlot(index) {
+        const { offsetY, scaleStep, visible } = this.config;
+        const depth = Math.min(index, visible - 1);
+        return {
+            x: 0,
+            y: depth * offsetY,
+            rotation: 0,
+            scale: 1 - depth * scaleStep,
+            zIndex: this.order.length - index,
+            autoAlpha: index < visible ? 1 : 0
+        };
+    }
+
+    layout(animate) {
+        this.order.forEach((card, index) => {
+            const slot = this.getSlot(index);
+            if (animate) {
+                this.animate(card, { ...slot, duration: this.duration, ease: 'power2.out' });
+            } else {
+                gsap.set(card, slot);
+            }
+        });
+    }
+
+    // The cards rising into their slots, added to the hero's intro
+    addTo(timeline, position) {
+        timeline.from(this.order, {
+            y: index => this.getSlot(index).y + 80,
+            autoAlpha: 0,
+            duration: 0.8,
+            stagger: 0.15,
+            ease: 'power3.out'
+        }, position);
+    }
+
+    release(card) {
+        const { x } = this.draggables[this.cards.indexOf(card)];
+        if (Math.abs(x) >= this.config.threshold) {
+            this.next(Math.sign(x));
+        } else {
+            this.animate(card, { x: 0, rotation: 0, duration: this.duration, ease: 'back.out(2)' });
+        }
+    }
+
+    // Throw the front card out to the left (-1) or right (1) and bring it back in at the back
+    next(direction) {
+        if (this.cycling) return;
+
+        const [front] = this.order;
+        // Set before animating, since an instant throw completes within animate()
+        this.cycling = true;
+        this.animate(front, {
+            x: direction * this.content.offsetWidth,
+            rotation: direction * 20,
+            autoAlpha: 0,
+            duration: this.duration,
+            ease: 'power2.in',
+            onComplete: () => {
+                this.cycling = false;
+                this.order.push(this.order.shift());
+                gsap.set(front, { x: 0, rotation: 0 });
+                this.layout(true);
+                this.updateFront();
+            }
+        });
+    }
+
+    // Only the front card can be dragged and is in the tab order; focus on a card that left the front moves
+    // to the new front card rather than staying on a hidden one
+    updateFront() {
+        const [front] = this.order;
+        const focused = this.cards.find(card => card === document.activeElement);
+
+        this.order.forEach((card, index) => {
+            const draggable = this.draggables[this.cards.indexOf(card)];
+            if (index === 0) {
+                draggable.enable();
+            } else {
+                draggable.disable();
+            }
+            card.setAttribute('tabindex', index === 0 ? '0' : '-1');
+            card.setAttribute('aria-hidden', index === 0 ? 'false' : 'true');
+        });
+
+        if (focused && focused !== front) front.focus();
+    }
+
+    // Back to the original order, e.g. before the intro replays
+    reset() {
+        this.killTweens();
+        this.order = [...this.cards];
+        this.layout(false);
+        this.updateFront();
+    }
+
+    destroy() {
+        this.killTweens();
+        this.draggables.forEach(draggable => draggable.kill());
+        this.cards.forEach(card => {
+            card.removeEventListener('keydown', this.handleKeydown);
+            card.removeAttribute('tabindex');
+            card.removeAttribute('aria-hidden');
+        });
+        gsap.set(this.cards, { clearProps: 'transform,opacity,visibility,zIndex' });
+        this.content.classList.remove('is-deck');
+    }
+}
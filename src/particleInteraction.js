@@ -0,0 +1,77 @@
+const COARSE_POINTER_QUERY = '(pointer: coarse)';
+
+// Cursor-reactive hero particles. Pointer positions over the hero are mapped into each emitter's reference
+// frame (the 1250×679 design space), which also holds when the hero is embedded in a Webflow iframe.
+export const DEFAULT_INTERACTION = {
+    enabled: true,
+    // Push velocity, in design units per second, for a particle right under the pointer
+    strength: 600,
+    // Reach of the push in design units
+    radius: 120,
+    // Exponent of (1 - distance / radius): 1 is linear, higher keeps the push close to the pointer
+    falloff: 2,
+    // InertiaPlugin resistance; higher stops the glide sooner
+    resistance: 900,
+    // Seconds to ease back onto the path after the glide
+    returnDuration: 1.6,
+    // React to touches on devices whose main pointer is fine (e.g. touch laptops)
+    touch: true,
+    // Switch off where the main pointer is coarse, such as phones and tablets
+    disableOnCoarsePointer: true
+};
+
+export class ParticleInteraction {
+    // section receives the pointer events; emitters are ParticleEmitters; reducedMotion switches it off too
+    constructor(section, emitters, config, reducedMotion) {
+        this.section = section;
+        this.emitters = emitters;
+        this.config = config;
+        this.reducedMotion = reducedMotion;
+        this.coarseQuery = typeof window.matchMedia === 'function' ? window.matchMedia(COARSE_POINTER_QUERY) : null;
+        this.pointer = null;
+        this.frame = null;
+
+        // Coalesce pointer events into one push per frame
+        this.handlePointer = event => {
+            if (!this.isActive || (event.pointerType === 'touch' && !this.config.touch)) return;
+
+            this.pointer = { x: event.clientX, y: event.clientY };
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.push();
+            });
+        };
+
+        if (section) {
+            section.addEventListener('pointermove', this.handlePointer, { passive: true });
+            section.addEventListener('pointerdown', this.handlePointer, { passive: true });
+        }
+    }
+
+    get isActive() {
+        if (!this.config.enabled || this.reducedMotion.matches) return false;
+        return !(this.config.disableOnCoarsePointer && this.coarseQuery && this.coarseQuery.matches);
+    }
+
+    push() {
+        if (!this.pointer || !this.isActive) return;
+
+        this.emitters.forEach(emitter => {
+            const point = emitter.clientToReference(this.pointer.x, this.pointer.y);
+            if (point) emitter.repel(point.x, point.y, this.config);
+        });
+    }
+
+    destroy() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.section) {
+            this.section.removeEventListener('pointermove', this.handlePointer);
+            this.section.removeEventListener('pointerdown', this.handlePointer);
+        }
+        this.emitters = [];
+    }
+}
@@ -0,0 +1,263 @@
+import { SVG_NS } from "./svg.js";
+
+// Draws each particle as its own SVG node inside the container
+export class SvgParticleRenderer {
+    constructor(container, options) {
+        this.container = container;
+        this.className = options.className;
+    }
+
+    mount() {
+        return true;
+    }
+
+    createNode(shape) {
+        let element;
+
+        switch (shape.name) {
+            case 'circle':
+                element = document.createElementNS(SVG_NS, 'circle');
+                element.setAttribute('cx', 0);
+                element.setAttribute('cy', 0);
+                break;
+
+            case 'square':
+                element = document.createElementNS(SVG_NS, 'rect');
+                break;
+
+            default:
+                // Any other shape references a <symbol>/<g> from the page's <defs>
+                element = document.createElementNS(SVG_NS, 'use');
+                element.setAttribute('href', shape.href);
+                break;
+        }
+
+        element.classList.add(this.className);
+        this.container.appendChild(element);
+        return element;
+    }
+
+    // Show the particle's node for its current shape, reusing the node from an earlier life if there is one
+    showNode(particle) {
+        const { shape, size } = particle;
+        const element = particle.nodes[shape.name] || (particle.nodes[shape.name] = this.createNode(shape));
+
+        if (particle.node && particle.node !== element) {
+            particle.node.style.display = 'none';
+        }
+
+        if (shape.name === 'circle') {
+            element.setAttribute('r', size / 2);
+        } else if (shape.name === 'square') {
+            element.setAttribute('width', size);
+            element.setAttribute('height', size);
+            element.setAttribute('x', -size / 2);
+            element.setAttribute('y', -size / 2);
+        }
+
+        element.setAttribute('fill', particle.color);
+        element.setAttribute('opacity', 0);
+        element.style.display = '';
+        particle.node = element;
+    }
+
+    hideNode(particle) {
+        if (particle.node) {
+            particle.node.style.display = 'none';
+        }
+    }
+
+    removeNodes(particle) {
+        Object.values(particle.nodes).forEach(element => {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+        particle.nodes = {};
+        particle.node = null;
+    }
+
+    render(particles, projection) {
+        const { sx, sy, tx, ty } = projection;
+
+        particles.forEach(particle => {
+            const { node, state, offset } = particle;
+            if (!node) return;
+
+            const x = (state.x + offset.x) * sx + tx;
+            const y = (state.y + offset.y) * sy + ty;
+            const scale = particle.shape.href ? ` scale(${particle.size * (particle.shape.scale ?? 1)})` : '';
+            node.setAttribute('transform', `translate(${x} ${y}) rotate(${state.rotation})${scale}`);
+            node.setAttribute('opacity', state.opacity);
+        });
+    }
+
+    resize() {}
+
+    destroy() {}
+}
+
+// Draws every particle into one <canvas> laid over the SVG container
+export class CanvasParticleRenderer {
+    constructor(container, options) {
+        this.container = container;
+        this.className = options.className;
+        this.canvas = null;
+        this.context = null;
+        this.symbolPaths = new Map();
+        this.pixelRatio = 1;
+        this.transform = null; // Container user space to canvas pixels, see resize
+    }
+
+    mount() {
+        if (!this.container.parentNode || typeof this.container.getScreenCTM !== 'function') {
+            return false;
+        }
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) {
+            return false;
+        }
+
+        canvas.classList.add(`${this.className}-canvas`);
+        canvas.setAttribute('aria-hidden', 'true');
+        canvas.style.position = 'absolute';
+        canvas.style.pointerEvents = 'none';
+
+        this.container.parentNode.insertBefore(canvas, this.container.nextSibling);
+        this.canvas = canvas;
+        this.context = context;
+        this.resize();
+        return true;
+    }
+
+    // Match the container's box and copy the styles that affect compositing. Boxes are measured on screen,
+    // then divided by the offset parent's on-screen scale: transforms above it (e.g. the scroll exit's scale
+    // on #revomo-animation) apply to the canvas too, and would otherwise count twice.
+    resize() {
+        if (!this.canvas) return;
+
+        const canvas = this.canvas;
+        const parent = canvas.offsetParent || document.body;
+        const rect = this.container.getBoundingClientRect();
+        const canvasRect = canvas.getBoundingClientRect();
+        const parentRect = parent.getBoundingClientRect();
+        const scale = parent.offsetWidth ? parentRect.width / parent.offsetWidth : 1;
+        const styles = window.getComputedStyle(this.container);
+        const width = rect.width / scale;
+        const height = rect.height / scale;
+
+        this.pixelRatio = window.devicePixelRatio || 1;
+
+        // Moved by the gap between the two boxes, so a transform both share cancels out: the scroll parallax
+        // tweens the canvas together with its container (see getScrollLayers in main.js)
+        canvas.style.left = `${canvas.offsetLeft + (rect.left - canvasRect.left) / scale}px`;
+        canvas.style.top = `${canvas.offsetTop + (rect.top - canvasRect.top) / scale}px`;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        canvas.style.opacity = styles.opacity;
+        canvas.style.zIndex = styles.zIndex;
+        // Resizing the backing store clears and reallocates it, so only when the size really changed
+        const pixelWidth = Math.max(1, Math.round(width * this.pixelRatio));
+        const pixelHeight = Math.max(1, Math.round(height * this.pixelRatio));
+        if (canvas.width !== pixelWidth) canvas.width = pixelWidth;
+        if (canvas.height !== pixelHeight) canvas.height = pixelHeight;
+
+        // Maps the container's user space (viewBox) onto canvas pixels
+        const matrix = this.container.getScreenCTM();
+        const ratio = this.pixelRatio / scale;
+        this.transform = matrix && [
+            matrix.a * ratio, matrix.b * ratio,
+            matrix.c * ratio, matrix.d * ratio,
+            (matrix.e - rect.left) * ratio, (matrix.f - rect.top) * ratio
+        ];
+    }
+
+    // Path2D for a #particle-* symbol, built once from its <path> children
+    getSymbolPaths(href) {
+        if (!this.symbolPaths.has(href)) {
+            const symbol = document.querySelector(href);
+            const paths = symbol
+                ? Array.from(symbol.tagName.toLowerCase() === 'path' ? [symbol] : symbol.querySelectorAll('path'))
+                : [];
+
+            this.symbolPaths.set(href, paths.map(path => {
+                const path2D = new Path2D();
+                const transform = path.transform && path.transform.baseVal.consolidate();
+                path2D.addPath(new Path2D(path.getAttribute('d')), transform ? transform.matrix : undefined);
+                return { path: path2D, fill: path.getAttribute('fill') };
+            }));
+        }
+        return this.symbolPaths.get(href);
+    }
+
+    showNode(particle) {
+        // Canvas particles have no node; preload the symbol geometry instead
+        if (particle.shape.href) {
+            this.getSymbolPaths(particle.shape.href);
+        }
+    }
+
+    // Inactive particles are simply not drawn
+    hideNode() {}
+
+    removeNodes() {}
+
+    render(particles, projection) {
+        const { context, canvas, transform } = this;
+        if (!context || !transform) return;
+
+        const { sx, sy, tx, ty } = projection;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        particles.forEach(particle => {
+            const { state, offset, shape, size } = particle;
+            if (state.opacity <= 0) return;
+
+            context.setTransform(...transform);
+            context.translate((state.x + offset.x) * sx + tx, (state.y + offset.y) * sy + ty);
+            context.rotate(state.rotation * Math.PI / 180);
+            context.globalAlpha = state.opacity;
+            context.fillStyle = particle.color;
+
+            switch (shape.name) {
+                case 'circle':
+                    context.beginPath();
+                    context.arc(0, 0, size / 2, 0, Math.PI * 2);
+                    context.fill();
+                    break;
+
+                case 'square':
+                    context.fillRect(-size / 2, -size / 2, size, size);
+                    break;
+
+                default: {
+                    const scale = size * (shape.scale ?? 1);
+                    context.scale(scale, scale);
+                    this.getSymbolPaths(shape.href).forEach(({ path, fill }) => {
+                        // Symbol paths keep their own fill, as they do through <use>
+                        context.fillStyle = fill || particle.color;
+                        context.fill(path);
+                    });
+                    break;
+                }
+            }
+        });
+    }
+
+    destroy() {
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+        this.canvas = null;
+        this.context = null;
+        this.symbolPaths.clear();
+    }
+}
+
+export const PARTICLE_RENDERERS = {
+    svg: SvgParticleRenderer,
+    canvas: CanvasParticleRenderer
+};
@@ -0,0 +1,811 @@
+import gsap from "gsap";
+import { PARTICLE_RENDERERS } from "./particleRenderers.js";
+
+// Frame the hero was designed in; presets use these coordinates when the container has no viewBox
+const DESIGN_FRAME = { x: 0, y: 0, width: 1250, height: 679 };
+
+// Base options for every emitter - presets only declare what differs
+const DEFAULT_OPTIONS = {
+    container: null, // Element or selector of the SVG layer particles are drawn into
+    className: 'particle',
+    // 'svg' draws a node per particle, 'canvas' draws all particles into one layer.
+    // A data-particle-renderer attribute on the container overrides this.
+    renderer: 'svg',
+
+    // Coordinate frame the region, directions and distances below are written in. Defaults to the
+    // container's viewBox, or DESIGN_FRAME without one, and is stretched onto the visible container area.
+    reference: null,
+
+    // Population
+    maxParticles: 50,
+    overflow: 'skip', // 'skip' ignores new spawns at the limit, 'recycle' removes the oldest particle
+
+    // Spawning - rates and delays are in milliseconds
+    spawnRate: null, // Interval between spawn ticks, null for a single initial wave
+    initialCount: 0, // Spawn ticks fired when the emitter starts
+    initialDelay: 0,
+    initialStagger: 0,
+
+    // Where particles appear: point, beam or arc (see spawnPosition)
+    region: { type: 'point', x: 625, y: 339.5, jitterX: 0, jitterY: 0 },
+
+    // Travel angles in degrees (0 = right, 90 = up). One particle per angle on each spawn tick.
+    // Leave null for a single particle per tick that scatters horizontally.
+    directions: null,
+
+    // How particles travel (see animateParticle)
+    motion: {
+        type: 'scatter',
+        ease: 'power2.out',
+        spin: 180, // Total random rotation range in degrees
+        // scatter
+        spreadX: 500,
+        spreadY: 540,
+        driftY: 0,
+        // directional
+        distance: [500, 800],
+        angleJitter: 0, // Total random deviation from the direction angle, in degrees
+        curve: null, // { intensity: [min, max] } bends the path through two waypoints
+        fadeIn: null, // { duration, ease } - null fades in over the whole motion
+        fadeOut: null // { duration, ease } - null keeps the particle visible to the end
+    },
+
+    // Seconds a particle travels for; persist keeps it at its end point afterwards
+    lifetime: [8, 12],
+    persist: false,
+
+    // Share of maxParticles shown as a motionless field in static mode (reduced motion)
+    staticFraction: 0.2,
+
+    // Appearance
+    size: [1, 3],
+    shapes: [{ name: 'circle', weight: 1 }],
+    palette: [{ color: '#ACA0E4', opacity: 0.8, weight: 1 }],
+    opacityBySize: null // [min, max] maps particle size to opacity, overriding the palette
+};
+
+// Shared presets for every particle layer on the site
+export const PARTICLE_PRESETS = {
+    // Hero: a one-off cloud scattering out from just above the chart centre
+    heroScatter: {
+        container: '#particle-container',
+        className: 'particle',
+        renderer: 'canvas',
+        maxParticles: 75,
+        initialCount: 75,
+        initialStagger: 20,
+        region: { type: 'point', x: 625, y: 288.575, jitterX: 40, jitterY: 40 },
+        motion: {
+            type: 'scatter',
+            ease: 'power2.out',
+            spin: 180,
+            spreadX: 500, // containerWidth / 2.5
+            spreadY: 543.2, // containerHeight * 0.8
+            driftY: 70
+        },
+        lifetime: [8, 12],
+        persist: true,
+        size: [1.44, 5],
+        shapes: [
+            { name: 'circle', weight: 0.95 },
+            { name: 'star', href: '#particle-star', scale: 1 / 2.5, weight: 0.05 }
+        ],
+        palette: [
+            { color: '#ACA0E4', opacity: 0.8, weight: 0.8 },
+            { color: '#7A42EB', opacity: 0.4, weight: 0.2 }
+        ]
+    },
+
+    // Hero: continuous stream falling along a diagonal beam from the top-right corner
+    diagonalBeam: {
+        container: '#falling-particles',
+        className: 'diagonal-particle',
+        renderer: 'canvas',
+        maxParticles: 45,
+        overflow: 'recycle',
+        spawnRate: 150,
+        initialCount: 5,
+        initialStagger: 100,
+        // Spawn within the first 200px of a 300px wide beam, using 90% of its width
+        region: { type: 'beam', x: 1250, y: 0, angle: 225, length: 200, width: 270 },
+        directions: [225],
+        motion: {
+            type: 'directional',
+            ease: 'none',
+            spin: 270,
+            distance: [1440.4, 1440.4], // Enough to cross the container: (679 / sin 135°) * 1.5
+            angleJitter: 5.73, // +/- 0.05 radians
+            fadeIn: { duration: 1, ease: 'power2.inOut' },
+            fadeOut: { duration: 2, ease: 'power2.in' }
+        },
+        lifetime: [20, 30],
+        size: [1, 3],
+        shapes: [
+            { name: 'circle', weight: 1 },
+            { name: 'square', weight: 1 },
+            { name: 'star', href: '#particle-star', scale: 1 / 3, weight: 1 },
+            { name: 'polygon', href: '#particle-polygon', scale: 1 / 2.5, weight: 1 }
+        ],
+        palette: [{ color: '#ACA0E4', weight: 1 }],
+        opacityBySize: [0.3, 1]
+    },
+
+    // Footer: fan of particles rising from the bottom centre
+    footerFan: {
+        container: '#circular-particle-container',
+        className: 'circular-particle',
+        renderer: 'canvas',
+        maxParticles: 90,
+        overflow: 'recycle',
+        spawnRate: 500,
+        initialCount: 1,
+        initialDelay: 500,
+        region: { type: 'point', x: 625, y: 645.05, jitterX: 30, jitterY: 20 },
+        directions: [160, 135, 110, 100, 90, 80, 70, 45, 20],
+        motion: {
+            type: 'directional',
+            ease: 'power1.out',
+            spin: 120,
+            distance: [560, 910], // 70% of an 800-1300px reach
+            fadeIn: { duration: 1.5, ease: 'power2.out' },
+            fadeOut: { duration: 3, ease: 'power2.in' }
+        },
+        lifetime: [13, 18],
+        size: [1.44, 5],
+        shapes: [
+            { name: 'circle', weight: 0.8 },
+            { name: 'star', href: '#circular-particle-star', scale: 1 / 2.5, weight: 0.2 }
+        ],
+        palette: [
+            { color: '#ACA0E4', opacity: 0.8, weight: 0.8 },
+            { color: '#7A42EB', opacity: 0.4, weight: 0.2 }
+        ]
+    },
+
+    // Standalone page: full 360° burst with curved paths and larger particles
+    circularBurst: {
+        container: '#circular-particle-container',
+        className: 'circular-particle',
+        maxParticles: 350,
+        overflow: 'recycle',
+        spawnRate: 1000,
+        initialCount: 1,
+        initialDelay: 600,
+        region: { type: 'point', x: 625, y: 645.05, jitterX: 160, jitterY: 60 },
+        directions: [0, 20, 40, 60, 80, 90, 100, 120, 140, 160, 180, 200, 220, 240, 260, 280, 300, 320, 340],
+        motion: {
+            type: 'directional',
+            ease: 'power1.out',
+            spin: 90, // 30° per curve segment
+            distance: [525, 825], // 75% of a 700-1100px reach
+            angleJitter: 24,
+            curve: { intensity: [30, 70] },
+            fadeIn: { duration: 4, ease: 'power2.out' },
+            fadeOut: { duration: 2.5, ease: 'power2.in' }
+        },
+        lifetime: [10, 14],
+        size: [4, 14],
+        shapes: [
+            { name: 'circle', weight: 0.8 },
+            { name: 'star', href: '#circular-particle-star', scale: 1 / 2.5, weight: 0.2 }
+        ],
+        palette: [
+            { color: '#ACA0E4', opacity: 0.8, weight: 0.8 },
+            { color: '#7A42EB', opacity: 0.4, weight: 0.2 }
+        ]
+    }
+};
+
+// Merge plain objects recursively; arrays and other values replace the base
+function mergeOptions(base, overrides) {
+    const result = { ...base };
+    Object.keys(overrides || {}).forEach(key => {
+        const value = overrides[key];
+        if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Element)
+            && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+            result[key] = mergeOptions(base[key], value);
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+function randomBetween([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+function pickWeighted(items) {
+    const total = items.reduce((sum, item) => sum + (item.weight ?? 1), 0);
+    let roll = Math.random() * total;
+    for (const item of items) {
+        roll -= item.weight ?? 1;
+        if (roll < 0) return item;
+    }
+    return items[items.length - 1];
+}
+
+// Configurable particle emitter shared by the hero and footer layers
+export class ParticleEmitter {
+    constructor(options = {}) {
+        this.options = mergeOptions(DEFAULT_OPTIONS, options);
+        this.container = typeof this.options.container === 'string'
+            ? document.querySelector(this.options.container)
+            : this.options.container;
+        this.particles = []; // Active particles, oldest first
+        this.pool = []; // Free particles waiting to be reused
+        this.spawnInterval = null;
+        this.spawnTimeouts = [];
+        this.pendingInitial = 0; // Initial-wave spawns not yet fired, kept across pauses
+        this.running = false;
+        this.paused = false;
+        this.staticMode = false;
+        this.timeScale = 1; // Applies to particle motion and spawn timing alike
+        this.density = 1; // Share of maxParticles allowed at once, see setDensity
+        this.resizeHandler = null;
+        this.resizeObserver = null;
+        this.layoutFrame = null;
+        this.renderer = null;
+        this.reference = null;
+        // Maps reference coordinates onto the container: x' = x * sx + tx, y' = y * sy + ty
+        this.projection = { sx: 1, sy: 1, tx: 0, ty: 0 };
+        this.render = () => this.renderer.render(this.particles, this.projection);
+    }
+
+    init() {
+        if (!this.container) {
+            console.warn(`Particle container not found: ${this.options.container ?? this.options.className}`);
+            return false;
+        }
+
+        this.renderer = this.createRenderer();
+        this.reference = this.getReferenceFrame();
+        this.updateLayout(false);
+        this.fillPool();
+        this.setupResizeHandler();
+        if (!this.paused) {
+            gsap.ticker.add(this.render);
+        }
+        return true;
+    }
+
+    // Use the requested renderer, falling back to SVG when it cannot mount (e.g. no canvas support)
+    createRenderer() {
+        const type = this.container.dataset.particleRenderer || this.options.renderer;
+        const Renderer = PARTICLE_RENDERERS[type] || PARTICLE_RENDERERS.svg;
+        const renderer = new Renderer(this.container, this.options);
+
+        if (renderer.mount()) {
+            return renderer;
+        }
+
+        console.warn(`Particle renderer "${type}" unavailable, falling back to SVG`);
+        const fallback = new PARTICLE_RENDERERS.svg(this.container, this.options);
+        fallback.mount();
+        return fallback;
+    }
+
+    // Allocate the fixed set of particle records up front; nothing is allocated per spawn after this
+    fillPool() {
+        for (let i = this.pool.length + this.particles.length; i < this.options.maxParticles; i++) {
+            this.pool.push({
+                state: { x: 0, y: 0, rotation: 0, opacity: 0 },
+                offset: { x: 0, y: 0 }, // Displacement from the path, e.g. pushed away by the pointer
+                push: null,
+                size: 0,
+                opacity: 0,
+                color: null,
+                shape: null,
+                shapeType: null,
+                node: null,
+                nodes: {}, // SVG nodes by shape name, created on first use and kept for reuse
+                timeline: gsap.timeline({ paused: true })
+            });
+        }
+    }
+
+    getPoolStats() {
+        return {
+            active: this.particles.length,
+            free: this.pool.length,
+            total: this.particles.length + this.pool.length
+        };
+    }
+
+    getReferenceFrame() {
+        if (this.options.reference) {
+            return this.options.reference;
+        }
+
+        const viewBox = this.container.viewBox && this.container.viewBox.baseVal;
+        if (viewBox && viewBox.width && viewBox.height) {
+            return { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height };
+        }
+
+        return DESIGN_FRAME;
+    }
+
+    // Visible area of the container in its own user units, from its bounding box and viewBox
+    measureFrame() {
+        const rect = this.container.getBoundingClientRect();
+        const ctm = typeof this.container.getScreenCTM === 'function' ? this.container.getScreenCTM() : null;
+
+        if (!ctm || !rect.width || !rect.height) {
+            // Nothing to measure yet (e.g. display: none), keep the reference frame as-is
+            return this.reference;
+        }
+
+        const inverse = ctm.inverse();
+        const topLeft = new DOMPoint(rect.left, rect.top).matrixTransform(inverse);
+        const bottomRight = new DOMPoint(rect.right, rect.bottom).matrixTransform(inverse);
+
+        return {
+            x: topLeft.x,
+            y: topLeft.y,
+            width: bottomRight.x - topLeft.x,
+            height: bottomRight.y - topLeft.y
+        };
+    }
+
+    // Re-fit the reference frame to the container. Particles in flight keep their reference
+    // coordinates, so easing the projection moves them smoothly with the new layout.
+    updateLayout(animate = true) {
+        const frame = this.measureFrame();
+        const reference = this.reference;
+        const sx = frame.width / reference.width;
+        const sy = frame.height / reference.height;
+        const projection = {
+            sx,
+            sy,
+            tx: frame.x - reference.x * sx,
+            ty: frame.y - reference.y * sy
+        };
+
+        if (this.renderer) {
+            this.renderer.resize();
+        }
+
+        if (animate) {
+            gsap.to(this.projection, {
+                ...projection,
+                duration: 0.4,
+                ease: 'power2.out',
+                overwrite: true
+            });
+        } else {
+            Object.assign(this.projection, projection);
+        }
+    }
+
+    setupResizeHandler() {
+        // Coalesce container and window resizes into one layout update per frame
+        this.resizeHandler = () => {
+            if (this.layoutFrame) return;
+            this.layoutFrame = requestAnimationFrame(() => {
+                this.layoutFrame = null;
+                this.updateLayout();
+            });
+        };
+
+        if (typeof ResizeObserver === 'function') {
+            this.resizeObserver = new ResizeObserver(this.resizeHandler);
+            this.resizeObserver.observe(this.container);
+        }
+
+        // The window still matters: the canvas layer follows the container's position, not just its size
+        window.addEventListener('resize', this.resizeHandler);
+    }
+
+    start() {
+        if (!this.renderer) return;
+
+        this.stop();
+        this.running = true;
+
+        if (this.staticMode) {
+            this.fillStaticField();
+            return;
+        }
+
+        this.pendingInitial = this.options.initialCount;
+        if (!this.paused) {
+            this.scheduleSpawns(this.options.initialDelay);
+        }
+    }
+
+    scheduleSpawns(delay) {
+        const { spawnRate, initialStagger } = this.options;
+        if (this.timeScale <= 0) return;
+
+        const scale = 1 / this.timeScale;
+
+        // Initial wave for immediate effect (or what is left of it after a pause)
+        for (let i = 0; i < this.pendingInitial; i++) {
+            this.spawnTimeouts.push(setTimeout(() => {
+                this.pendingInitial--;
+                this.spawn();
+            }, (delay + i * initialStagger) * scale));
+        }
+
+        // Continuous spawning loop
+        if (spawnRate) {
+            this.spawnInterval = setInterval(() => this.spawn(), spawnRate * scale);
+        }
+    }
+
+    stop() {
+        if (this.spawnInterval) {
+            clearInterval(this.spawnInterval);
+            this.spawnInterval = null;
+        }
+        this.spawnTimeouts.forEach(clearTimeout);
+        this.spawnTimeouts = [];
+    }
+
+    // Stop spawning and return every particle to the pool, ready for a fresh start()
+    reset() {
+        this.stop();
+        this.running = false;
+        this.pendingInitial = 0;
+        [...this.particles].forEach(particle => this.releaseParticle(particle));
+    }
+
+    // Speed particle motion and spawning up or down, e.g. to follow the hero's master timeline
+    setTimeScale(scale) {
+        this.timeScale = scale;
+        this.particles.forEach(particle => {
+            particle.timeline.timeScale(scale);
+            if (particle.push) particle.push.timeScale(scale);
+        });
+
+        if (this.running && !this.paused && !this.staticMode) {
+            this.stop();
+            this.scheduleSpawns(0);
+        }
+    }
+
+    // The layer a canvas renderer draws into, null for SVG rendering
+    get canvas() {
+        return (this.renderer && this.renderer.canvas) || null;
+    }
+
+    // Most particles alive at once
+    get limit() {
+        return Math.max(1, Math.round(this.options.maxParticles * this.density));
+    }
+
+    // Thin the field out (or back in), e.g. on phones; 1 allows maxParticles. Drifting particles above the
+    // new limit finish their paths; a static field is laid out again at the new size.
+    setDensity(density) {
+        this.density = gsap.utils.clamp(0, 1, density);
+
+        if (this.staticMode && this.running) {
+            [...this.particles].forEach(particle => this.releaseParticle(particle));
+            this.fillStaticField();
+        }
+    }
+
+    // Freeze spawning, particle tweens and drawing, e.g. while the section is offscreen
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        this.stop();
+        this.particles.forEach(particle => {
+            particle.timeline.pause();
+            if (particle.push) particle.push.pause();
+        });
+        gsap.ticker.remove(this.render);
+    }
+
+    // Pick up where pause() left off; spawning restarts on a fresh interval, so nothing is backlogged
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        if (!this.renderer) return;
+
+        gsap.ticker.add(this.render);
+        if (!this.staticMode) {
+            this.particles.forEach(particle => {
+                particle.timeline.resume();
+                if (particle.push) particle.push.resume();
+            });
+            if (this.running) {
+                this.scheduleSpawns(0);
+            }
+        }
+    }
+
+    // Static mode swaps drifting particles for a sparse, motionless field and back again
+    setStaticMode(enabled) {
+        if (this.staticMode === enabled) return;
+
+        this.staticMode = enabled;
+        this.stop();
+        [...this.particles].forEach(particle => this.releaseParticle(particle));
+
+        if (this.running) {
+            this.start();
+        }
+    }
+
+    // Spawn a share of the particles and freeze each partway along its path, where it is fully faded in
+    fillStaticField() {
+        const { staticFraction, directions, persist } = this.options;
+        const count = Math.max(1, Math.round(this.limit * staticFraction));
+
+        for (let i = 0; i < count; i++) {
+            const angle = directions ? directions[Math.floor(Math.random() * directions.length)] : null;
+            const particle = this.spawnParticle(angle);
+            if (particle) {
+                particle.timeline.eventCallback('onComplete', null);
+                particle.timeline.progress(persist ? 1 : 0.25 + Math.random() * 0.5).pause();
+            }
+        }
+    }
+
+    // Reference coordinates under a viewport point, e.g. the pointer. Uses the container's own screen matrix,
+    // so it holds inside an iframe and for any scaling of the hero.
+    clientToReference(clientX, clientY) {
+        const ctm = this.container && typeof this.container.getScreenCTM === 'function'
+            ? this.container.getScreenCTM()
+            : null;
+        if (!ctm) return null;
+
+        const point = new DOMPoint(clientX, clientY).matrixTransform(ctm.inverse());
+        const { sx, sy, tx, ty } = this.projection;
+        return { x: (point.x - tx) / sx, y: (point.y - ty) / sy };
+    }
+
+    // Push particles within radius of (x, y) straight away from it. Each glides out with InertiaPlugin, then
+    // eases back onto its path, which kept moving underneath. Distances are in reference units.
+    repel(x, y, { strength, radius, falloff, resistance, returnDuration }) {
+        if (this.paused || this.staticMode) return;
+
+        this.particles.forEach(particle => {
+            const dx = particle.state.x + particle.offset.x - x;
+            const dy = particle.state.y + particle.offset.y - y;
+            const distance = Math.hypot(dx, dy);
+            if (distance >= radius) return;
+
+            const velocity = strength * Math.pow(1 - distance / radius, falloff);
+            const angle = distance > 0 ? Math.atan2(dy, dx) : Math.random() * Math.PI * 2;
+
+            if (particle.push) particle.push.kill();
+            particle.push = gsap.timeline({ onComplete: () => { particle.push = null; } })
+                .to(particle.offset, {
+                    inertia: {
+                        x: Math.cos(angle) * velocity,
+                        y: Math.sin(angle) * velocity,
+                        resistance
+                    }
+                })
+                .to(particle.offset, { x: 0, y: 0, duration: returnDuration, ease: 'power2.inOut' })
+                .timeScale(this.timeScale);
+        });
+    }
+
+    // One spawn tick: a particle per direction, or a single particle without directions
+    spawn() {
+        const directions = this.options.directions || [null];
+        directions.forEach(angle => this.spawnParticle(angle));
+    }
+
+    spawnParticle(angle) {
+        if (!this.renderer) return;
+
+        // Above the limit after a density drop, let the extra particles finish instead of replacing them
+        if (this.particles.length > this.limit) return;
+        if (this.pool.length === 0 || this.particles.length === this.limit) {
+            if (this.options.overflow !== 'recycle' || this.particles.length === 0) return;
+            this.releaseParticle(this.particles[0]);
+        }
+
+        const { x, y } = this.spawnPosition();
+        const particle = this.resetParticle(this.pool.pop(), x, y);
+
+        this.renderer.showNode(particle);
+        this.particles.push(particle);
+
+        this.animateParticle(particle, x, y, angle);
+        if (this.paused) {
+            particle.timeline.pause();
+        }
+        return particle;
+    }
+
+    spawnPosition() {
+        const region = this.options.region;
+
+        switch (region.type) {
+            case 'beam': {
+                // Random point inside a rectangle rotated along the beam angle
+                const along = Math.random() * region.length;
+                const across = (Math.random() - 0.5) * region.width;
+                const angleRad = region.angle * Math.PI / 180;
+                return {
+                    x: region.x + along * Math.cos(angleRad) + across * Math.sin(angleRad),
+                    y: region.y - along * Math.sin(angleRad) + across * Math.cos(angleRad)
+                };
+            }
+
+            case 'arc': {
+                // Random point on an arc between startAngle and endAngle
+                const angle = randomBetween([region.startAngle, region.endAngle]) * Math.PI / 180;
+                const radius = region.radius + (Math.random() - 0.5) * (region.jitter || 0);
+                return {
+                    x: region.x + Math.cos(angle) * radius,
+                    y: region.y - Math.sin(angle) * radius
+                };
+            }
+
+            case 'point':
+            default:
+                return {
+                    x: region.x + (Math.random() - 0.5) * (region.jitterX || 0),
+                    y: region.y + (Math.random() - 0.5) * (region.jitterY || 0)
+                };
+        }
+    }
+
+    // Particles are plain state objects; GSAP tweens the state and the renderer draws it each tick.
+    // A reused particle is re-randomised here so it looks like a fresh one.
+    resetParticle(particle, x, y) {
+        const shape = pickWeighted(this.options.shapes);
+        const swatch = pickWeighted(this.options.palette);
+        const size = randomBetween(this.options.size);
+
+        particle.state.x = x;
+        particle.state.y = y;
+        particle.state.rotation = Math.random() * 360;
+        particle.state.opacity = 0; // Start hidden and fade in
+        particle.offset.x = 0;
+        particle.offset.y = 0;
+        particle.size = size;
+        particle.opacity = this.options.opacityBySize
+            ? this.getOpacityBasedOnSize(size)
+            : swatch.opacity ?? 1;
+        particle.color = swatch.color;
+        particle.shape = shape;
+        particle.shapeType = shape.name;
+
+        return particle;
+    }
+
+    getOpacityBasedOnSize(size) {
+        const [minSize, maxSize] = this.options.size;
+        const [minOpacity, maxOpacity] = this.options.opacityBySize;
+        const sizeRatio = (size - minSize) / (maxSize - minSize);
+        return minOpacity + (sizeRatio * (maxOpacity - minOpacity));
+    }
+
+    animateParticle(particle, startX, startY, angle) {
+        const motion = this.options.motion;
+        const duration = randomBetween(this.options.lifetime);
+        const spin = () => `+=${(Math.random() - 0.5) * motion.spin}`;
+
+        // Reuse the particle's own timeline; clearing it drops the previous run's tweens
+        const tl = particle.timeline.clear();
+        tl.eventCallback('onComplete', this.options.persist ? null : () => this.releaseParticle(particle));
+
+        if (motion.type === 'scatter') {
+            // Drift left or right with a random vertical spread
+            const direction = Math.random() < 0.5 ? -1 : 1;
+            tl.to(particle.state, {
+                x: startX + direction * Math.random() * motion.spreadX,
+                y: startY + (Math.random() - 0.5) * motion.spreadY + motion.driftY,
+                rotation: spin(),
+                duration,
+                ease: motion.ease
+            }, 0);
+        } else {
+            // Travel away from the spawn point along the direction angle
+            const angleRad = (angle + (Math.random() - 0.5) * motion.angleJitter) * Math.PI / 180;
+            const distance = randomBetween(motion.distance);
+            const pointAt = (d, offset = 0) => ({
+                x: startX + Math.cos(angleRad) * d + Math.sin(angleRad) * offset,
+                y: startY - Math.sin(angleRad) * d + Math.cos(angleRad) * offset
+            });
+
+            if (motion.curve) {
+                // Bend the path through two waypoints offset perpendicular to the direction
+                const intensity = randomBetween(motion.curve.intensity) * (Math.random() < 0.5 ? -1 : 1);
+                const first = pointAt(distance * 0.33, intensity * 0.7);
+                const second = pointAt(distance * 0.66, intensity * 0.4);
+                const end = pointAt(distance);
+                const segmentSpin = () => `+=${(Math.random() - 0.5) * motion.spin / 3}`;
+
+                tl.to(particle.state, { ...first, rotation: segmentSpin(), duration: duration * 0.33, ease: 'power1.inOut' }, 0)
+                    .to(particle.state, { ...second, rotation: segmentSpin(), duration: duration * 0.33, ease: 'power1.inOut' }, duration * 0.33)
+                    .to(particle.state, { ...end, rotation: segmentSpin(), duration: duration * 0.34, ease: motion.ease }, duration * 0.66);
+            } else {
+                tl.to(particle.state, {
+                    ...pointAt(distance),
+                    rotation: spin(),
+                    duration,
+                    ease: motion.ease
+                }, 0);
+            }
+        }
+
+        // Fade in on its own curve, or alongside the motion
+        if (motion.fadeIn) {
+            tl.to(particle.state, {
+                opacity: particle.opacity,
+                duration: motion.fadeIn.duration,
+                ease: motion.fadeIn.ease
+            }, 0);
+        } else {
+            tl.to(particle.state, {
+                opacity: particle.opacity,
+                duration,
+                ease: motion.ease
+            }, 0);
+        }
+
+        if (motion.fadeOut) {
+            tl.to(particle.state, {
+                opacity: 0,
+                duration: motion.fadeOut.duration,
+                ease: motion.fadeOut.ease
+            }, duration - motion.fadeOut.duration);
+        }
+
+        tl.timeScale(this.timeScale).restart();
+    }
+
+    // Return a particle to the pool: stop its tweens, hide it and keep the record for the next spawn
+    releaseParticle(particle) {
+        const index = this.particles.indexOf(particle);
+        if (index === -1) return;
+
+        this.particles.splice(index, 1);
+        if (particle.push) {
+            particle.push.kill();
+            particle.push = null;
+        }
+        particle.timeline.clear().pause(0);
+        particle.timeline.eventCallback('onComplete', null);
+        this.renderer.hideNode(particle);
+        this.pool.push(particle);
+    }
+
+    destroy() {
+        this.stop();
+        this.running = false;
+        gsap.ticker.remove(this.render);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.resizeHandler) {
+            window.removeEventListener('resize', this.resizeHandler);
+            this.resizeHandler = null;
+        }
+        if (this.layoutFrame) {
+            cancelAnimationFrame(this.layoutFrame);
+            this.layoutFrame = null;
+        }
+        gsap.killTweensOf(this.projection);
+        if (this.renderer) {
+            [...this.particles].forEach(particle => this.releaseParticle(particle));
+            this.pool.forEach(particle => {
+                particle.timeline.kill();
+                this.renderer.removeNodes(particle);
+            });
+            this.pool = [];
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+    }
+}
+
+// Create an emitter from a named preset, with optional overrides
+export function createParticleEmitter(presetName, overrides = {}) {
+    const preset = PARTICLE_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown particle preset: ${presetName}`);
+    }
+    return new ParticleEmitter(mergeOptions(preset, overrides));
+}
@@ -0,0 +1,53 @@
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Live prefers-reduced-motion state, optionally forced from config for testing.
+// mode: 'auto' follows the media query, 'always' and 'never' override it.
+export class ReducedMotion {
+    constructor(mode = 'auto') {
+        this.mode = mode;
+        this.listeners = new Set();
+        this.query = typeof window.matchMedia === 'function' ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+        this.active = this.resolve();
+
+        this.handleChange = () => this.update();
+        if (this.query && this.query.addEventListener) {
+            this.query.addEventListener('change', this.handleChange);
+        }
+    }
+
+    get matches() {
+        return this.active;
+    }
+
+    resolve() {
+        if (this.mode === 'always') return true;
+        if (this.mode === 'never') return false;
+        return Boolean(this.query && this.query.matches);
+    }
+
+    setMode(mode = 'auto') {
+        this.mode = mode;
+        this.update();
+    }
+
+    update() {
+        const active = this.resolve();
+        if (active === this.active) return;
+
+        this.active = active;
+        this.listeners.forEach(listener => listener(active));
+    }
+
+    // Subscribe to changes; returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    destroy() {
+        if (this.query && this.query.removeEventListener) {
+            this.query.removeEventListener('change', this.handleChange);
+        }
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,153 @@
+import gsap from "gsap";
+
+// Continuous spin of the conic gradients inside #rotating-lines and its glow copy. The rotation is applied to
+// the gradient content, not the clipped group, so the progress wedge stays where it is while the lines turn.
+// Speed is a velocity in degrees per second that is itself tweened: starting, hovering and changing direction
+// all ramp instead of jumping.
+export const DEFAULT_ROTATION = {
+    enabled: true,
+    // Degrees per second at cruising speed
+    speed: 24,
+    direction: 'clockwise',
+    // Seconds from rest to cruising speed, after the intro fades the lines in and after every pause
+    easeIn: 2,
+    // Speed multiplier while the pointer is over the hero, reached in hoverEase seconds
+    hoverSpeed: 3,
+    hoverEase: 0.8,
+    // Centre of the ring in the SVG's user space
+    origin: [339.621, 338.994],
+    targets: '[clip-path*="_angular_"] > g'
+};
+
+export class RingRotation {
+    // q resolves targets inside the hero; config is config.json's "rotation" section
+    constructor(q, config) {
+        this.config = { ...config };
+        this.targets = q(config.targets).map(element => ({
+            element,
+            transform: element.getAttribute('transform') || ''
+        }));
+        this.angle = 0;
+        this.velocity = 0;
+        this.timeScale = 1;
+        this.started = false;
+        this.hovered = false;
+        // Reasons the spin is held, e.g. reduced motion, a paused or offscreen hero, or the host page
+        this.holds = new Set();
+        this.ramp = null;
+        this.ticking = false;
+        this.update = (time, deltaTime) => this.tick(deltaTime);
+    }
+
+    get hasTargets() {
+        return this.targets.length > 0;
+    }
+
+    // Signed degrees per second the spin is heading for
+    getCruiseVelocity() {
+        const sign = this.config.direction === 'counterclockwise' ? -1 : 1;
+        return sign * this.config.speed * (this.hovered ? this.config.hoverSpeed : 1);
+    }
+
+    // Called by the intro once the lines have faded in; immediate skips the ease-in, e.g. after a seek
+    start(immediate = false) {
+        this.started = true;
+        this.updateTicker();
+        if (immediate && this.ticking) {
+            this.killRamp();
+            this.velocity = this.getCruiseVelocity();
+        }
+    }
+
+    // Back to rest at the exported angle, as before the intro
+    reset() {
+        this.started = false;
+        this.updateTicker();
+        this.killRamp();
+        this.velocity = 0;
+        this.angle = 0;
+        this.render();
+    }
+
+    hold(reason, held) {
+        if (held) {
+            this.holds.add(reason);
+        } else {
+            this.holds.delete(reason);
+        }
+        this.updateTicker();
+    }
+
+    setHovered(hovered) {
+        if (this.hovered === hovered) return;
+        this.hovered = hovered;
+        if (this.ticking) this.rampTo(this.getCruiseVelocity(), this.config.hoverEase);
+    }
+
+    // Runtime changes from the hero API: enabled, speed, direction, hoverSpeed, easeIn, hoverEase
+    set(options) {
+        const wasTicking = this.ticking;
+        Object.assign(this.config, options);
+        this.updateTicker();
+        if (wasTicking && this.ticking) this.rampTo(this.getCruiseVelocity(), this.config.hoverEase);
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = scale;
+        if (this.ramp) this.ramp.timeScale(scale);
+    }
+
+    // Spin only while started, enabled and not held; every resume eases in from rest
+    updateTicker() {
+        const active = this.config.enabled && this.started && this.holds.size === 0 && this.hasTargets;
+        if (active === this.ticking) return;
+
+        this.ticking = active;
+        if (active) {
+            this.velocity = 0;
+            this.rampTo(this.getCruiseVelocity(), this.config.easeIn, 'power1.in');
+            gsap.ticker.add(this.update);
+        } else {
+            gsap.ticker.remove(this.update);
+            this.killRamp();
+        }
+    }
+
+    rampTo(velocity, duration, ease = 'power2.inOut') {
+        this.killRamp();
+        this.ramp = gsap.to(this, { velocity, duration, ease }).timeScale(this.timeScale);
+    }
+
+    killRamp() {
+        if (this.ramp) {
+            this.ramp.kill();
+            this.ramp = null;
+        }
+    }
+
+    tick(deltaTime) {
+        this.angle = (this.angle + this.velocity * this.timeScale * deltaTime / 1000) % 360;
+        this.render();
+    }
+
+    // The rotation goes in front of the exported transform so it turns around the ring's centre
+    render() {
+        const [x, y] = this.config.origin;
+        this.targets.forEach(({ element, transform }) => {
+            element.setAttribute('transform', `rotate(${this.angle.toFixed(3)} ${x} ${y}) ${transform}`.trim());
+        });
+    }
+
+    destroy() {
+        gsap.ticker.remove(this.update);
+        this.ticking = false;
+        this.killRamp();
+        this.targets.forEach(({ element, transform }) => {
+            if (transform) {
+                element.setAttribute('transform', transform);
+            } else {
+                element.removeAttribute('transform');
+            }
+        });
+    }
+}
@@ -0,0 +1,6 @@
+// Helpers shared by the modules that write SVG elements and attributes
+
+export const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Two decimals: precise enough for SVG coordinates, short enough to keep attributes readable
+export const round = value => Math.round(value * 100) / 100;
@@ -0,0 +1,72 @@
+// Tracks whether a section is worth animating: on screen and in a visible tab.
+// Listeners receive true when the section becomes active and false when it goes idle.
+// Enter listeners are called each time the section scrolls into view, starting with the first measurement.
+export class SectionVisibility {
+    constructor(section, { rootMargin = '0px', threshold = 0 } = {}) {
+        this.section = section;
+        this.listeners = new Set();
+        this.enterListeners = new Set();
+        this.inView = true; // Assume visible until the observer reports otherwise
+        this.measured = false;
+        this.pageVisible = document.visibilityState !== 'hidden';
+        this.active = this.inView && this.pageVisible;
+        this.observer = null;
+
+        if (section && typeof IntersectionObserver === 'function') {
+            this.observer = new IntersectionObserver(entries => {
+                const wasInView = this.measured && this.inView;
+                this.inView = entries[entries.length - 1].isIntersecting;
+                this.measured = true;
+                this.update();
+                if (this.inView && !wasInView) {
+                    this.enterListeners.forEach(listener => listener());
+                }
+            }, { rootMargin, threshold });
+            this.observer.observe(section);
+        }
+
+        this.handleVisibilityChange = () => {
+            this.pageVisible = document.visibilityState !== 'hidden';
+            this.update();
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    get isActive() {
+        return this.active;
+    }
+
+    // Without IntersectionObserver the section always counts as in view and never enters
+    get canObserve() {
+        return this.observer !== null;
+    }
+
+    update() {
+        const active = this.inView && this.pageVisible;
+        if (active === this.active) return;
+
+        this.active = active;
+        this.listeners.forEach(listener => listener(active));
+    }
+
+    // Subscribe to changes; returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    onEnter(listener) {
+        this.enterListeners.add(listener);
+        return () => this.enterListeners.delete(listener);
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.listeners.clear();
+        this.enterListeners.clear();
+    }
+}